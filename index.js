@@ -12,11 +12,16 @@ const fs = require('fs');
 const path = require('path');
 const GraphStore = require('./lib/graph-store');
 const GraphSearcher = require('./lib/graph-searcher');
+const GraphQuery = require('./lib/graph-query');
 const LLMExtractor = require('./lib/llm-extractor');
 const EntityResolver = require('./lib/entity-resolver');
 const ArchiveBackfill = require('./lib/backfill');
 const ContextBuilder = require('./lib/context-builder');
 const PatternDiscovery = require('./lib/pattern-discovery');
+const Retention = require('./lib/retention');
+const Importance = require('./lib/importance');
+const Communities = require('./lib/communities');
+const LinkPrediction = require('./lib/link-prediction');
 const extractor = require('./lib/extractor');
 
 function deepMerge(target, source) {
@@ -87,9 +92,28 @@ module.exports = {
                 ensureDir(dbDir);
 
                 const dbPath = path.join(dbDir, config.storage?.dbFile || 'graph.db');
-                const store = new GraphStore(dbPath);
+                const store = new GraphStore(dbPath, {
+                    confidence: config.confidence,
+                    halfLifeDays: config.storage?.confidenceHalfLifeDays,
+                    contradictions: config.contradictions
+                });
+                const migration = store.migrationReport;
+                if (migration.applied.length > 0) {
+                    api.logger.info(
+                        `[Graph:${id}] Migrated schema v${migration.from} → v${migration.to} ` +
+                        `(${migration.applied.map(m => m.name).join(', ')})` +
+                        (migration.backupPath ? ` — backup: ${migration.backupPath}` : '')
+                    );
+                }
+
+                // Predicate registry: refresh config-declared predicates (custom ones are kept)
+                store.predicates.seed(id, config.predicates, {
+                    canonicalPredicates: config.extraction?.canonicalPredicates,
+                    predicateTTLDays: config.extraction?.predicateTTLDays
+                });
                 const searcher = new GraphSearcher(store, config.retrieval);
                 const resolver = new EntityResolver(store, config.entityResolution);
+                const query = new GraphQuery(store, config.query);
 
                 // Resolve continuity archive dir for this agent
                 const archiveDir = id === 'main'
@@ -118,8 +142,12 @@ module.exports = {
                 }
 
                 // Phase 5: Context builder + pattern discovery
-                const contextBuilder = new ContextBuilder(config.contextInjection);
+                const contextBuilder = new ContextBuilder(config.contextInjection, store.predicates);
                 const patternDiscovery = new PatternDiscovery(store, config.patternDiscovery);
+                const retention = new Retention(store, config.storage);
+                const importance = new Importance(store, config.importance);
+                const communities = new Communities(store, config.communities);
+                const linkPrediction = new LinkPrediction(store, config.linkPrediction);
 
                 // Seed static meta-path patterns from config
                 if (config.metaPaths?.static) {
@@ -134,13 +162,20 @@ module.exports = {
                     store,
                     searcher,
                     resolver,
+                    query,
                     backfill,
                     contextBuilder,
                     patternDiscovery,
+                    retention,
+                    importance,
+                    communities,
+                    linkPrediction,
                     enrichmentQueue: [],  // Exchanges queued for LLM slow path
                     isProcessing: false,
                     backfillDone: false,       // Flag: fast-path backfill completed
-                    lastPatternDiscovery: 0    // Timestamp of last discovery run
+                    lastPatternDiscovery: 0,   // Timestamp of last discovery run
+                    lastImportanceRun: 0,      // Timestamp of last centrality computation
+                    lastCommunityRun: 0        // Timestamp of last community detection
                 });
                 api.logger.info(`[Graph] Initialized state for agent "${id}" — db: ${dbPath}`);
 
@@ -150,18 +185,6 @@ module.exports = {
             return states.get(id);
         }
 
-        /**
-         * Get recent known entities for gazetteer matching.
-         * Capped to avoid perf issues on large registries.
-         */
-        function getKnownEntities(state) {
-            try {
-                return state.store._recentEntities.all(state.agentId, 200);
-            } catch {
-                return [];
-            }
-        }
-
         // Set up global bus for Phase 2 RRF integration
         if (!global.__ocGraph) {
             global.__ocGraph = { lastResults: {} };
@@ -218,11 +241,9 @@ module.exports = {
             const stripped = extractor.stripContextBlocks(queryText);
             if (!stripped || stripped.length < 5) return {};
 
-            const knownEntities = getKnownEntities(state);
-
             // Run link expansion search
             const results = state.searcher.search(stripped, state.agentId, {
-                knownEntities
+                knownEntities: state.store.gazetteer(state.agentId)
             });
 
             if (results.exchanges.length > 0) {
@@ -243,13 +264,23 @@ module.exports = {
             if (results.entities.length > 0 && config.contextInjection?.enabled !== false) {
                 try {
                     const entityIds = results.entities.map(e => state.store.normalizeEntityId(e.name));
-                    const graphContext = state.contextBuilder.buildContext(entityIds, state.agentId, state.store);
-                    if (graphContext.length > 0) {
+                    const graphContext = state.contextBuilder.build(entityIds, state.agentId, state.store, {
+                        query: stripped,
+                        record: true
+                    });
+                    if (graphContext.lines.length > 0) {
                         contextLines.push('[GRAPH CONTEXT]');
-                        contextLines.push('You know these connections:');
-                        contextLines.push(...graphContext.map(line => `- ${line}`));
+                        contextLines.push(graphContext.header);
+                        contextLines.push(...graphContext.lines.map(line => `- ${line}`));
                         api.logger.info(
-                            `[Graph:${state.agentId}] Injecting ${graphContext.length} context summary line(s)`
+                            `[Graph:${state.agentId}] Injecting ${graphContext.lines.length} context summary line(s), ` +
+                            `${graphContext.facts.length} fact(s), ~${graphContext.used.tokens}/${graphContext.budget.tokens} tokens`
+                        );
+                    }
+                    if (graphContext.dropped.length > 0) {
+                        api.logger.debug(
+                            `[Graph:${state.agentId}] Context dropped ${graphContext.dropped.length} fact(s): ` +
+                            graphContext.dropped.slice(0, 5).map(d => `${d.subject} ${d.predicate} ${d.object} (${d.reason})`).join('; ')
                         );
                     }
                 } catch (err) {
@@ -327,13 +358,15 @@ module.exports = {
             }
 
             const state = getState(ctx.agentId);
-            const knownEntities = getKnownEntities(state);
 
             // Extract entities + relationships from the exchange
             const extraction = extractor.extractFromExchange({
                 messages,
-                config: config.extraction,
-                knownEntities
+                config: {
+                    ...config.extraction,
+                    canonicalPredicates: state.store.predicates.canonicalNames(state.agentId)
+                },
+                knownEntities: state.store.gazetteer(state.agentId)
             });
 
             if (extraction.entities.length === 0) return;
@@ -389,7 +422,8 @@ module.exports = {
                     cooccurrences: extraction.cooccurrences,
                     agentId: state.agentId,
                     sourceExchangeId,
-                    sourceDate
+                    sourceDate,
+                    extractor: 'fast'
                 });
 
                 api.logger.info(
@@ -446,7 +480,8 @@ module.exports = {
                 try {
                     const result = await llmExtractor.extractWithFailedQueue(
                         item.userText, item.agentText,
-                        item.exchangeId, state.agentId, item.date
+                        item.exchangeId, state.agentId, item.date,
+                        state.store.predicates.extractableNames(state.agentId)
                     );
                     if (result.entities.length === 0 && result.relationships.length === 0) continue;
 
@@ -454,17 +489,7 @@ module.exports = {
                     for (const entity of result.entities) {
                         const id = state.store.upsertEntity(entity.name, entity.type, state.agentId);
                         // Store aliases if provided
-                        if (entity.aliases && entity.aliases.length > 0) {
-                            const existing = state.store.getEntity(id);
-                            if (existing) {
-                                let currentAliases = [];
-                                try { currentAliases = JSON.parse(existing.aliases || '[]'); } catch { /* */ }
-                                const merged = [...new Set([...currentAliases, ...entity.aliases])];
-                                state.store.db.prepare(
-                                    'UPDATE entities SET aliases = ? WHERE id = ?'
-                                ).run(JSON.stringify(merged), id);
-                            }
-                        }
+                        state.store.addAliases(id, entity.aliases);
                     }
 
                     // Write LLM-extracted relationships (higher confidence than fast path)
@@ -472,10 +497,13 @@ module.exports = {
                         // Use entity resolver for subject and object
                         const contextNames = result.entities.map(e => e.name);
                         const subjectRes = state.resolver.resolve(rel.subject, state.agentId, contextNames);
-                        const objectRes = state.resolver.resolve(rel.object, state.agentId, contextNames);
+                        // Literal objects ("82 kg") are values, not entities to resolve
+                        const objectRes = rel.literal
+                            ? null
+                            : state.resolver.resolve(rel.object, state.agentId, contextNames);
 
                         // Determine pending status
-                        const pending = subjectRes.tier === 'defer' || objectRes.tier === 'defer';
+                        const pending = subjectRes.tier === 'defer' || objectRes?.tier === 'defer';
 
                         // Per-predicate confidence threshold filtering
                         const boostedConfidence = Math.min(rel.confidence + 0.1, 1.0);
@@ -491,7 +519,10 @@ module.exports = {
                             sourceExchangeId: item.exchangeId,
                             sourceDate: item.date,
                             agentId: state.agentId,
-                            pendingResolution: pending
+                            pendingResolution: pending,
+                            extractor: 'llm',
+                            literal: rel.literal,
+                            qualifiers: rel.qualifiers
                         });
                     }
 
@@ -551,7 +582,53 @@ module.exports = {
                 // 2. Process pending entity resolutions
                 const resolved = state.resolver.processPending(state.agentId);
 
-                // 3. Detect graph-based knowledge gaps → feed to contemplation
+                // 3. Retention: expire stale weak triples, cap hub entities
+                try {
+                    const pruned = state.retention.enforce(state.agentId);
+                    if (pruned.expired > 0 || pruned.capped > 0) {
+                        const hubs = pruned.hubs.map(h => `${h.entity} ${h.before}→${h.after}`).join(', ');
+                        api.logger.info(
+                            `[Graph:${state.agentId}] Retention: expired ${pruned.expired} stale triple(s), ` +
+                            `pruned ${pruned.capped} over the per-entity cap` + (hubs ? ` (${hubs})` : '')
+                        );
+                    }
+                } catch (err) {
+                    api.logger.warn(`[Graph:${state.agentId}] Retention error: ${err.message}`);
+                }
+
+                // 4. Entity importance: PageRank, degree, betweenness (gated to once per intervalHours)
+                const importanceInterval = (config.importance?.intervalHours || 24) * 3600000;
+                if (config.importance?.enabled !== false &&
+                    Date.now() - state.lastImportanceRun > importanceInterval) {
+                    try {
+                        state.lastImportanceRun = Date.now();
+                        const scored = state.importance.compute(state.agentId);
+                        api.logger.info(
+                            `[Graph:${state.agentId}] Importance: scored ${scored.updated} entities ` +
+                            `over ${scored.nodes} nodes / ${scored.edges} edges (${scored.iterations} PageRank iterations)`
+                        );
+                    } catch (err) {
+                        api.logger.warn(`[Graph:${state.agentId}] Importance error: ${err.message}`);
+                    }
+                }
+
+                // 5. Topic communities: Louvain clustering, labelled by importance (gated to once per intervalHours)
+                const communityInterval = (config.communities?.intervalHours || 24) * 3600000;
+                if (config.communities?.enabled !== false &&
+                    Date.now() - state.lastCommunityRun > communityInterval) {
+                    try {
+                        state.lastCommunityRun = Date.now();
+                        const detected = state.communities.detect(state.agentId);
+                        api.logger.info(
+                            `[Graph:${state.agentId}] Communities: ${detected.communities} cluster(s) covering ` +
+                            `${detected.clustered} entities (modularity ${detected.modularity.toFixed(3)}, ${detected.levels} level(s))`
+                        );
+                    } catch (err) {
+                        api.logger.warn(`[Graph:${state.agentId}] Community detection error: ${err.message}`);
+                    }
+                }
+
+                // 6. Detect graph-based knowledge gaps → feed to contemplation
                 const gaps = detectGraphGaps(state);
                 if (gaps.length > 0 && global.__ocMetabolism?.gapListeners) {
                     // Push graph gaps through the same pipeline contemplation uses
@@ -567,16 +644,15 @@ module.exports = {
                     );
                 }
 
-                // 4. Phase 5: Pattern discovery + validation (gated to once per 24h)
+                // 7. Phase 5: Pattern discovery + validation (gated to once per 24h)
                 const discoveryInterval = (config.patternDiscovery?.discoveryIntervalHours || 24) * 3600000;
                 if (config.patternDiscovery?.enabled !== false &&
                     Date.now() - state.lastPatternDiscovery > discoveryInterval) {
                     try {
                         state.lastPatternDiscovery = Date.now();
 
-                        // Decay stale triples before pattern evaluation
-                        const decayed = state.store.decayStaleTriples(state.agentId,
-                            config.storage?.confidenceHalfLifeDays || 90);
+                        // Decay unreinforced triples before pattern evaluation
+                        const decayed = state.store.decayStaleTriples(state.agentId);
                         if (decayed.changes > 0) {
                             api.logger.info(
                                 `[Graph:${state.agentId}] Decayed confidence on ${decayed.changes} stale triple(s)`
@@ -661,6 +737,7 @@ module.exports = {
                            COUNT(t.id) as triple_count
                     FROM entities e
                     LEFT JOIN triples t ON (t.subject = e.id OR t.object = e.id) AND t.agent_id = ?
+                        AND t.valid_to IS NULL
                     WHERE e.agent_id = ? AND e.mention_count > 5
                     GROUP BY e.id
                     HAVING triple_count < 3
@@ -687,13 +764,16 @@ module.exports = {
                           SELECT 1 FROM triples t
                           WHERE (t.subject = e.id OR t.object = e.id)
                             AND t.agent_id = ?
+                            AND t.valid_to IS NULL
                             AND t.predicate != 'related_to'
                       )
                       AND EXISTS (
                           SELECT 1 FROM triples t
                           WHERE (t.subject = e.id OR t.object = e.id)
                             AND t.agent_id = ?
+                            AND t.valid_to IS NULL
                       )
+                    ORDER BY COALESCE(e.importance, 0) DESC, e.mention_count DESC
                     LIMIT 5
                 `).all(agentId, agentId, agentId);
 
@@ -707,13 +787,14 @@ module.exports = {
                 }
 
                 // 3. Temporal dead zones: entities not seen in 30+ days that were previously active
+                //    (most central first — their staleness affects the most connections)
                 const staleDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
                 const stale = state.store.db.prepare(`
                     SELECT id, canonical_name, mention_count, last_seen
                     FROM entities
                     WHERE agent_id = ? AND mention_count > 5
                       AND last_seen < ?
-                    ORDER BY mention_count DESC
+                    ORDER BY COALESCE(importance, 0) DESC, mention_count DESC
                     LIMIT 3
                 `).all(agentId, staleDate);
 
@@ -724,6 +805,34 @@ module.exports = {
                         sourceId: `graph:${e.id}`
                     });
                 }
+
+                // 4. Contradictions: conflicting facts neither side of which could be settled
+                const disputes = state.store.contradictions.list(agentId, { status: 'disputed', limit: 3 });
+                const nameOf = (id) => state.store.getEntity(id)?.canonical_name || id;
+                for (const c of disputes) {
+                    const statement = (t) => `${nameOf(t.subject)} ${t.predicate.replace(/_/g, ' ')} ${nameOf(t.object)}`;
+                    gaps.push({
+                        question: `We have conflicting information: "${statement(c.a)}" vs "${statement(c.b)}". Which is true now?`,
+                        type: 'contradiction',
+                        sourceId: `graph:contradiction:${c.id}`
+                    });
+                }
+
+                // 5. Missing links: relationships the graph's structure suggests but nobody stated
+                if (config.linkPrediction?.enabled !== false) {
+                    const predicted = state.linkPrediction.suggest(agentId, {
+                        limit: config.linkPrediction?.gapQuestions || 3
+                    });
+                    for (const link of predicted) {
+                        if (GRAPH_GAP_BLACKLIST.has(link.subjectName.toLowerCase()) ||
+                            GRAPH_GAP_BLACKLIST.has(link.objectName.toLowerCase())) continue;
+                        gaps.push({
+                            question: link.question,
+                            type: 'missing_link',
+                            sourceId: `graph:link:${link.subject}:${link.predicate}:${link.object}`
+                        });
+                    }
+                }
             } catch (err) {
                 api.logger.warn(`[Graph:${agentId}] Gap detection error: ${err.message}`);
             }
@@ -750,6 +859,7 @@ module.exports = {
                 agentId: state.agentId,
                 entityCount: stats.entityCount,
                 tripleCount: stats.tripleCount,
+                historicalTripleCount: stats.historicalTripleCount,
                 recentEntities: stats.recentEntities.map(e => ({
                     id: e.id,
                     name: e.canonical_name,
@@ -768,13 +878,79 @@ module.exports = {
 
         api.registerGatewayMethod('graph.search', async ({ params, respond }) => {
             const state = getState(params?.agentId);
-            const knownEntities = getKnownEntities(state);
-            const results = state.searcher.search(
-                params?.query || '',
-                state.agentId,
-                { limit: params?.limit, knownEntities }
-            );
-            respond(true, results);
+            try {
+                const results = state.searcher.search(
+                    params?.query || '',
+                    state.agentId,
+                    {
+                        limit: params?.limit,
+                        cursor: params?.cursor,
+                        knownEntities: state.store.gazetteer(state.agentId),
+                        explain: params?.explain === true,
+                        filters: {
+                            from: params?.from,
+                            to: params?.to,
+                            predicates: params?.predicates,
+                            excludePredicates: params?.excludePredicates,
+                            entityTypes: params?.entityTypes,
+                            minConfidence: params?.minConfidence,
+                            maxHops: params?.maxHops,
+                            strategy: params?.strategy
+                        }
+                    }
+                );
+                respond(true, results);
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('graph.previewContext', async ({ params, respond }) => {
+            if (!params?.query) {
+                respond(false, { error: 'Missing query' });
+                return;
+            }
+            const state = getState(params?.agentId);
+            try {
+                const entities = extractor.matchGazetteer(params.query, state.store.gazetteer(state.agentId));
+                const entityIds = entities.map(e => state.store.normalizeEntityId(e.name));
+                const context = state.contextBuilder.build(entityIds, state.agentId, state.store, {
+                    query: params.query,
+                    maxTokens: params?.maxTokens,
+                    maxChars: params?.maxChars,
+                    locale: params?.locale
+                });
+                respond(true, { agentId: state.agentId, entities: entityIds, ...context });
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('graph.findPath', async ({ params, respond }) => {
+            if (!params?.from || !params?.to) {
+                respond(false, { error: 'Missing from or to' });
+                return;
+            }
+            const state = getState(params?.agentId);
+            try {
+                const paths = state.searcher.findPaths(params.from, params.to, {
+                    agentId: state.agentId,
+                    maxHops: params.maxHops,
+                    predicates: params.predicates,
+                    minConfidence: params.minConfidence,
+                    limit: params.limit,
+                    shortest: params.shortest
+                });
+                respond(true, {
+                    agentId: state.agentId,
+                    from: state.store.normalizeEntityId(params.from),
+                    to: state.store.normalizeEntityId(params.to),
+                    connected: paths.length > 0,
+                    paths
+                });
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
         });
 
         api.registerGatewayMethod('graph.getEntity', async ({ params, respond }) => {
@@ -783,7 +959,9 @@ module.exports = {
                 return;
             }
             const state = getState(params?.agentId);
-            const context = state.searcher.getEntityContext(params.name, state.agentId);
+            const context = state.searcher.getEntityContext(params.name, state.agentId, {
+                asOf: params?.asOf
+            });
             if (!context) {
                 respond(false, { error: `Entity not found: ${params.name}` });
                 return;
@@ -793,14 +971,353 @@ module.exports = {
 
         api.registerGatewayMethod('graph.getTriples', async ({ params, respond }) => {
             const state = getState(params?.agentId);
-            const triples = state.store.queryTriples({
-                subject: params?.subject,
-                predicate: params?.predicate,
-                object: params?.object,
+            let page;
+            try {
+                page = state.store.queryTriplesPage({
+                    subject: params?.subject,
+                    predicate: params?.predicate,
+                    object: params?.object,
+                    agentId: state.agentId,
+                    limit: params?.limit,
+                    asOf: params?.asOf,
+                    objectKind: params?.objectKind,
+                    unit: params?.unit,
+                    minValue: params?.minValue,
+                    maxValue: params?.maxValue,
+                    cursor: params?.cursor
+                });
+            } catch (err) {
+                respond(false, { error: err.message });
+                return;
+            }
+            const { triples, nextCursor } = page;
+
+            // Attach the full evidence list: every exchange that stated each fact
+            const sources = state.store.getTripleSources(triples.map(t => t.id));
+            respond(true, {
+                triples: triples.map(t => ({
+                    ...t,
+                    qualifiers: t.qualifiers ? JSON.parse(t.qualifiers) : null,
+                    sources: (sources.get(t.id) || []).map(src => ({
+                        exchangeId: src.exchange_id,
+                        date: src.source_date,
+                        extractor: src.extractor,
+                        confidence: src.confidence
+                    }))
+                })),
+                nextCursor
+            });
+        });
+
+        api.registerGatewayMethod('graph.listEntities', async ({ params, respond }) => {
+            const state = getState(params?.agentId);
+            try {
+                const { entities, nextCursor } = state.store.listEntities({
+                    agentId: state.agentId,
+                    sort: params?.sort,
+                    type: params?.type,
+                    query: params?.query,
+                    minMentions: params?.minMentions,
+                    community: params?.community,
+                    limit: params?.limit,
+                    cursor: params?.cursor
+                });
+                respond(true, {
+                    agentId: state.agentId,
+                    entities: entities.map(e => ({
+                        id: e.id,
+                        name: e.canonical_name,
+                        type: e.entity_type,
+                        aliases: JSON.parse(e.aliases || '[]'),
+                        mentions: e.mention_count,
+                        firstSeen: e.first_seen,
+                        lastSeen: e.last_seen,
+                        importance: e.importance,
+                        community: e.community_id
+                    })),
+                    nextCursor
+                });
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('graph.query', async ({ params, respond }) => {
+            if (!params?.query) {
+                respond(false, { error: 'Missing query' });
+                return;
+            }
+            const state = getState(params?.agentId);
+            try {
+                const options = { asOf: params.asOf };
+                const result = state.query.run(params.query, state.agentId, options);
+                if (params.explain) {
+                    const { sql, params: sqlParams } = state.query.compile(params.query, state.agentId, options);
+                    result.sql = sql;
+                    result.params = sqlParams;
+                }
+                respond(true, { agentId: state.agentId, ...result });
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('graph.getHistory', async ({ params, respond }) => {
+            if (!params?.subject || !params?.predicate) {
+                respond(false, { error: 'Missing subject or predicate' });
+                return;
+            }
+            const state = getState(params?.agentId);
+            const history = state.store.getHistory(params.subject, params.predicate, state.agentId);
+            respond(true, {
+                agentId: state.agentId,
+                subject: state.store.normalizeEntityId(params.subject),
+                predicate: params.predicate,
+                history: history.map(t => ({
+                    id: t.id,
+                    object: t.object,
+                    objectKind: t.object_kind,
+                    value: t.object_number,
+                    unit: t.unit,
+                    confidence: t.confidence,
+                    validFrom: t.valid_from,
+                    validTo: t.valid_to,
+                    recordedAt: t.recorded_at,
+                    supersededBy: t.superseded_by,
+                    sourceExchangeId: t.source_exchange_id
+                }))
+            });
+        });
+
+        api.registerGatewayMethod('graph.schemaInfo', async ({ params, respond }) => {
+            const state = getState(params?.agentId);
+            respond(true, { agentId: state.agentId, ...state.store.getSchemaInfo() });
+        });
+
+        api.registerGatewayMethod('graph.recomputeConfidence', async ({ params, respond }) => {
+            const state = getState(params?.agentId);
+            try {
+                // Optional overrides try a strategy without changing config
+                const result = state.store.recomputeConfidence(state.agentId, {
+                    strategy: params?.strategy,
+                    baseRate: params?.baseRate,
+                    extractorPriors: params?.extractorPriors
+                });
+                api.logger.info(
+                    `[Graph:${state.agentId}] Recomputed confidence (${result.strategy}): ` +
+                    `${result.changed}/${result.triples} triples changed`
+                );
+                respond(true, { agentId: state.agentId, ...result });
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('graph.previewDecay', async ({ params, respond }) => {
+            const state = getState(params?.agentId);
+            if (params?.at && isNaN(Date.parse(params.at))) {
+                respond(false, { error: `Invalid date: ${params.at}` });
+                return;
+            }
+            respond(true, {
+                agentId: state.agentId,
+                ...state.store.previewDecay(state.agentId, {
+                    halfLifeDays: params?.halfLifeDays,
+                    at: params?.at,
+                    threshold: params?.threshold ?? config.contextInjection?.minConfidence ?? 0.6,
+                    limit: params?.limit
+                })
+            });
+        });
+
+        api.registerGatewayMethod('graph.retentionPreview', async ({ params, respond }) => {
+            const state = getState(params?.agentId);
+            const plan = state.retention.plan(state.agentId);
+            const limit = params?.limit || 20;
+            const brief = t => ({
+                id: t.id,
+                subject: t.subject,
+                predicate: t.predicate,
+                object: t.object,
+                confidence: t.confidence,
+                updatedAt: t.updated_at,
+                ...(t.hub ? { hub: t.hub, value: t.value } : {})
+            });
+            respond(true, {
+                agentId: state.agentId,
+                maxTriplesPerEntity: state.retention.maxTriplesPerEntity,
+                retentionDays: state.retention.retentionDays,
+                expireBelowConfidence: state.retention.expireBelowConfidence,
+                expired: plan.expired.length,
+                capped: plan.capped.length,
+                hubs: plan.hubs,
+                byPredicate: plan.byPredicate,
+                sample: {
+                    expired: plan.expired.slice(0, limit).map(brief),
+                    capped: plan.capped.slice(0, limit).map(brief)
+                }
+            });
+        });
+
+        api.registerGatewayMethod('graph.getContradictions', async ({ params, respond }) => {
+            const state = getState(params?.agentId);
+            respond(true, {
                 agentId: state.agentId,
-                limit: params?.limit
+                contradictions: state.store.contradictions.list(state.agentId, {
+                    status: params?.status,
+                    entityId: params?.entity ? state.store.normalizeEntityId(params.entity) : undefined,
+                    limit: params?.limit
+                })
             });
-            respond(true, { triples });
+        });
+
+        api.registerGatewayMethod('graph.resolveContradiction', async ({ params, respond }) => {
+            if (!params?.id || !params?.winner) {
+                respond(false, { error: 'Missing id or winner (triple id to keep)' });
+                return;
+            }
+            const state = getState(params?.agentId);
+            try {
+                const result = state.store.contradictions.resolve(Number(params.id), Number(params.winner));
+                api.logger.info(`[Graph:${state.agentId}] Contradiction ${params.id} resolved: kept triple ${params.winner}`);
+                respond(true, { agentId: state.agentId, contradiction: result });
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('graph.getImportance', async ({ params, respond }) => {
+            const state = getState(params?.agentId);
+            try {
+                const computed = params?.recompute ? state.importance.compute(state.agentId) : null;
+                if (computed) state.lastImportanceRun = Date.now();
+                respond(true, {
+                    agentId: state.agentId,
+                    computed,
+                    entities: state.importance.top(state.agentId, params?.limit).map(e => ({
+                        id: e.id,
+                        name: e.canonical_name,
+                        type: e.entity_type,
+                        mentions: e.mention_count,
+                        importance: e.importance,
+                        pagerank: e.pagerank,
+                        degree: e.degree,
+                        betweenness: e.betweenness,
+                        computedAt: e.importance_at
+                    }))
+                });
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('graph.getCommunities', async ({ params, respond }) => {
+            const state = getState(params?.agentId);
+            try {
+                const computed = params?.recompute ? state.communities.detect(state.agentId) : null;
+                if (computed) state.lastCommunityRun = Date.now();
+                const communities = state.communities.list(state.agentId, {
+                    limit: params?.limit,
+                    minSize: params?.minSize
+                });
+                if (params?.members) {
+                    const limit = typeof params.members === 'number' ? params.members : 10;
+                    for (const c of communities) {
+                        c.members = state.communities.members(c.id, state.agentId, { limit }).map(e => ({
+                            id: e.id,
+                            name: e.canonical_name,
+                            type: e.entity_type,
+                            importance: e.importance
+                        }));
+                    }
+                }
+                respond(true, { agentId: state.agentId, computed, communities });
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('graph.suggestLinks', async ({ params, respond }) => {
+            const state = getState(params?.agentId);
+            try {
+                const suggestions = state.linkPrediction.suggest(state.agentId, {
+                    entity: params?.entity,
+                    predicate: params?.predicate,
+                    limit: params?.limit,
+                    minScore: params?.minScore
+                });
+                respond(true, { agentId: state.agentId, suggestions });
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('graph.acceptLink', async ({ params, respond }) => {
+            const state = getState(params?.agentId);
+            try {
+                const result = state.linkPrediction.accept(state.agentId, {
+                    subject: params?.subject,
+                    predicate: params?.predicate,
+                    object: params?.object,
+                    confidence: params?.confidence
+                });
+                api.logger.info(
+                    `[Graph:${state.agentId}] Accepted link ${params.subject} ${params.predicate} ${params.object}`
+                );
+                respond(true, { agentId: state.agentId, ...result });
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('graph.rejectLink', async ({ params, respond }) => {
+            const state = getState(params?.agentId);
+            try {
+                const rejected = state.linkPrediction.reject(state.agentId, {
+                    subject: params?.subject,
+                    predicate: params?.predicate,
+                    object: params?.object
+                });
+                respond(true, { agentId: state.agentId, rejected });
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('graph.getPredicates', async ({ params, respond }) => {
+            const state = getState(params?.agentId);
+            respond(true, { agentId: state.agentId, predicates: state.store.predicates.list(state.agentId) });
+        });
+
+        api.registerGatewayMethod('graph.definePredicate', async ({ params, respond }) => {
+            if (!params?.name) {
+                respond(false, { error: 'Missing name' });
+                return;
+            }
+            const state = getState(params?.agentId);
+            try {
+                const { name, agentId, ...definition } = params;
+                const predicate = state.store.predicates.define(state.agentId, name, definition);
+                api.logger.info(`[Graph:${state.agentId}] Defined predicate "${predicate.name}" (${predicate.cardinality})`);
+                respond(true, { agentId: state.agentId, predicate });
+            } catch (err) {
+                respond(false, { error: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('graph.removePredicate', async ({ params, respond }) => {
+            if (!params?.name) {
+                respond(false, { error: 'Missing name' });
+                return;
+            }
+            const state = getState(params?.agentId);
+            const removed = state.store.predicates.remove(state.agentId, params.name);
+            if (!removed) {
+                respond(false, { error: `No custom predicate "${params.name}" (config predicates can only be overridden)` });
+                return;
+            }
+            api.logger.info(`[Graph:${state.agentId}] Removed predicate "${params.name}"`);
+            respond(true, { agentId: state.agentId, removed: params.name });
         });
 
         api.registerGatewayMethod('graph.listAgents', async ({ params, respond }) => {
@@ -869,7 +1386,8 @@ module.exports = {
             // 1. Reset graph and backfill log
             const cleared = state.backfill.reset();
             api.logger.info(
-                `[Graph:${state.agentId}] Cleared ${cleared.triplesDeleted} triples, ${cleared.entitiesDeleted} entities`
+                `[Graph:${state.agentId}] Cleared ${cleared.triplesDeleted} triples, ${cleared.entitiesDeleted} entities, ` +
+                `${cleared.cooccurrencesDeleted} co-occurrences`
             );
 
             if (!useLLM) {
@@ -929,27 +1447,18 @@ module.exports = {
                         if (/^OpenClaw runtime context/i.test(userText)) continue;
 
                         try {
-                            const result = await llmExtractor.extract(userText, agentText);
+                            const result = await llmExtractor.extract(
+                                userText, agentText, state.store.predicates.extractableNames(state.agentId)
+                            );
                             if (result.entities.length === 0 && result.relationships.length === 0) continue;
 
                             const exchangeId = `exchange_${date}_${i}`;
 
                             // Write entities
                             for (const entity of result.entities) {
-                                state.store.upsertEntity(entity.name, entity.type, state.agentId);
+                                const entityId = state.store.upsertEntity(entity.name, entity.type, state.agentId);
                                 // Store aliases
-                                if (entity.aliases && entity.aliases.length > 0) {
-                                    const entityId = state.store.normalizeEntityId(entity.name);
-                                    const existing = state.store.getEntity(entityId);
-                                    if (existing) {
-                                        let currentAliases = [];
-                                        try { currentAliases = JSON.parse(existing.aliases || '[]'); } catch { /* */ }
-                                        const merged = [...new Set([...currentAliases, ...entity.aliases])];
-                                        state.store.db.prepare(
-                                            'UPDATE entities SET aliases = ? WHERE id = ?'
-                                        ).run(JSON.stringify(merged), entityId);
-                                    }
-                                }
+                                state.store.addAliases(entityId, entity.aliases);
                             }
 
                             // Write relationships as triples
@@ -963,7 +1472,10 @@ module.exports = {
                                         sourceExchangeId: exchangeId,
                                         sourceDate: date,
                                         agentId: state.agentId,
-                                        pendingResolution: false
+                                        pendingResolution: false,
+                                        extractor: 'llm',
+                                        literal: rel.literal,
+                                        qualifiers: rel.qualifiers
                                     });
                                     dateTriples++;
                                 } catch { /* duplicate or constraint — skip */ }
@@ -1038,7 +1550,8 @@ module.exports = {
                     // so use plain extract() here to avoid duplicates
                     const result = await llmExtractor.extract(
                         entry.userTextPreview || '',  // Only preview available
-                        ''  // Agent text not stored in failed queue
+                        '',  // Agent text not stored in failed queue
+                        state.store.predicates.extractableNames(state.agentId)
                     );
 
                     if (result.entities.length > 0 || result.relationships.length > 0) {
@@ -1057,7 +1570,10 @@ module.exports = {
                                     sourceExchangeId: entry.exchangeId,
                                     sourceDate: entry.date,
                                     agentId: state.agentId,
-                                    pendingResolution: false
+                                    pendingResolution: false,
+                                    extractor: 'llm',
+                                    literal: rel.literal,
+                                    qualifiers: rel.qualifiers
                                 });
                             } catch { /* duplicate or constraint */ }
                         }
@@ -1090,7 +1606,7 @@ module.exports = {
         api.registerGatewayMethod('graph.cleanupExpiredTriples', async ({ params, respond }) => {
             const agentId = params?.agentId;
             const state = getState(agentId);
-            const ttlConfig = config.extraction?.predicateTTLDays || {};
+            const ttlConfig = state.store.predicates.ttlMap(state.agentId);
 
             if (Object.keys(ttlConfig).length === 0) {
                 respond(true, { agentId: state.agentId, status: 'no_ttl_configured', deleted: 0 });
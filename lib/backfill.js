@@ -179,11 +179,7 @@ class ArchiveBackfill {
         let totalEntities = 0;
         let totalTriples = 0;
 
-        const knownEntities = (() => {
-            try {
-                return this.store._recentEntities.all(this.agentId, 200);
-            } catch { return []; }
-        })();
+        const knownEntities = this.store.gazetteer(this.agentId);
 
         for (let i = 0; i < exchanges.length; i++) {
             const exchange = exchanges[i];
@@ -207,7 +203,10 @@ class ArchiveBackfill {
             try {
                 const extraction = this.extractor.extractFromExchange({
                     messages,
-                    config: this.extractionConfig,
+                    config: {
+                        ...this.extractionConfig,
+                        canonicalPredicates: this.store.predicates.canonicalNames(this.agentId)
+                    },
                     knownEntities
                 });
 
@@ -220,7 +219,8 @@ class ArchiveBackfill {
                     cooccurrences: extraction.cooccurrences,
                     agentId: this.agentId,
                     sourceExchangeId: exchangeId,
-                    sourceDate: date
+                    sourceDate: date,
+                    extractor: 'fast'
                 });
 
                 totalEntities += extraction.entities.length;
@@ -313,7 +313,7 @@ class ArchiveBackfill {
 
     /**
      * Clear backfill log and all triples — for full rebuild.
-     * @returns {{ triplesDeleted: number, entitiesDeleted: number }}
+     * @returns {{ triplesDeleted: number, entitiesDeleted: number, cooccurrencesDeleted: number }}
      */
     reset() {
         // Delete backfill log
@@ -323,7 +323,7 @@ class ArchiveBackfill {
             }
         } catch { /* ok */ }
 
-        // Delete all triples and entities for this agent
+        // Delete all triples and entities for this agent (provenance cascades)
         const triplesDeleted = this.store.db.prepare(
             'DELETE FROM triples WHERE agent_id = ?'
         ).run(this.agentId).changes;
@@ -331,13 +331,14 @@ class ArchiveBackfill {
         const entitiesDeleted = this.store.db.prepare(
             'DELETE FROM entities WHERE agent_id = ?'
         ).run(this.agentId).changes;
+        this.store.dropGazetteer(this.agentId);
 
-        // Clear co-occurrences (shared table, but these are all from this agent's entities)
-        this.store.db.prepare('DELETE FROM cooccurrences').run();
+        // Clear this agent's co-occurrences only — aliased agents may share the store
+        const cooccurrencesDeleted = this.store.deleteCooccurrences(this.agentId).changes;
 
         this.stats = { processed: 0, skipped: 0, errors: 0, totalTriples: 0 };
 
-        return { triplesDeleted, entitiesDeleted };
+        return { triplesDeleted, entitiesDeleted, cooccurrencesDeleted };
     }
 
     /**
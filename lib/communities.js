@@ -0,0 +1,265 @@
+/**
+ * Communities — Topic clusters over the entity graph.
+ *
+ * Louvain modularity optimization groups entities that are more densely
+ * linked to each other than to the rest of the graph — "fitness",
+ * "Furvaria project", "family". Each level moves nodes greedily to the
+ * neighbouring community with the best modularity gain, then collapses
+ * communities into single nodes and repeats until nothing moves. Nodes are
+ * visited in sorted order, so the same graph always clusters the same way.
+ *
+ * Communities smaller than minSize are not stored. The rest are renumbered
+ * by size on every run and labelled after their most important members
+ * (importance, then degree within the community). Membership is kept on
+ * entities.community_id.
+ *
+ * Refreshed in the nightshift graph-enrichment task after importance.
+ */
+
+const Importance = require('./importance');
+
+class Communities {
+    /**
+     * @param {GraphStore} store
+     * @param {Object} [config] - communities config section
+     */
+    constructor(store, config) {
+        this.store = store;
+        this.config = config || {};
+        this.resolution = this.config.resolution ?? 1.0;
+        this.minSize = this.config.minSize || 3;
+        this.maxLevels = this.config.maxLevels || 10;
+        this.labelMembers = this.config.labelMembers || 2;
+    }
+
+    /**
+     * Cluster an agent's entities and store the result.
+     *
+     * @param {string} agentId
+     * @returns {{ communities: number, clustered: number, modularity: number, levels: number }}
+     */
+    detect(agentId) {
+        const aid = agentId || 'main';
+        const db = this.store.db;
+        const { nodes, adjacency } = Importance.loadGraph(db, aid);
+        const { membership, levels } = this.louvain(nodes, adjacency);
+        const modularity = this.modularity(adjacency, membership);
+
+        // Group, drop small clusters, number by size
+        const groups = new Map();
+        for (const [node, c] of membership) {
+            if (!groups.has(c)) groups.set(c, []);
+            groups.get(c).push(node);
+        }
+        const clusters = [...groups.values()]
+            .filter(members => members.length >= this.minSize)
+            .sort((a, b) => b.length - a.length || (a[0] < b[0] ? -1 : 1));
+
+        const entityInfo = db.prepare(`
+            SELECT canonical_name, COALESCE(importance, 0) AS importance FROM entities WHERE id = ? AND agent_id = ?
+        `);
+        const insert = db.prepare(`
+            INSERT INTO communities (agent_id, id, label, size, top_members) VALUES (?, ?, ?, ?, ?)
+        `);
+        const assign = db.prepare('UPDATE entities SET community_id = ? WHERE id = ? AND agent_id = ?');
+
+        let clustered = 0;
+        const tx = db.transaction(() => {
+            db.prepare('DELETE FROM communities WHERE agent_id = ?').run(aid);
+            db.prepare('UPDATE entities SET community_id = NULL WHERE agent_id = ?').run(aid);
+
+            clusters.forEach((members, i) => {
+                const id = i + 1;
+                const inside = new Set(members);
+                const ranked = members.map(m => {
+                    const info = entityInfo.get(m, aid);
+                    let degree = 0;
+                    for (const n of adjacency.get(m).keys()) if (inside.has(n)) degree++;
+                    return { id: m, name: info?.canonical_name || m, importance: info?.importance || 0, degree };
+                }).sort((a, b) => b.importance - a.importance || b.degree - a.degree || (a.id < b.id ? -1 : 1));
+
+                const label = ranked.slice(0, this.labelMembers).map(r => r.name).join(' / ');
+                insert.run(aid, id, label, members.length, JSON.stringify(ranked.slice(0, 5).map(r => r.id)));
+                for (const m of members) clustered += assign.run(id, m, aid).changes;
+            });
+        });
+        tx();
+
+        return { communities: clusters.length, clustered, modularity, levels };
+    }
+
+    /**
+     * Louvain community detection.
+     *
+     * @param {string[]} nodes
+     * @param {Map<string, Map<string, number>>} adjacency - undirected, node → neighbour → weight
+     * @returns {{ membership: Map<string, number>, levels: number }} node → community index
+     */
+    louvain(nodes, adjacency) {
+        // Working graph over integer ids; a self-loop holds twice the internal weight
+        const sortedNodes = [...nodes].sort();
+        const index = new Map(sortedNodes.map((n, i) => [n, i]));
+        let graph = sortedNodes.map(n => {
+            const out = new Map();
+            for (const [m, w] of adjacency.get(n)) out.set(index.get(m), w);
+            return out;
+        });
+        let membership = sortedNodes.map((_, i) => i); // original node → current community
+
+        let levels = 0;
+        while (levels < this.maxLevels) {
+            const { community, moved } = this._localMoving(graph);
+            if (!moved) break;
+            levels++;
+
+            // Renumber communities 0..k-1 and collapse them into nodes
+            const renumber = new Map();
+            for (const c of community) if (!renumber.has(c)) renumber.set(c, renumber.size);
+            membership = membership.map(c => renumber.get(community[c]));
+            const collapsed = Array.from({ length: renumber.size }, () => new Map());
+            graph.forEach((out, i) => {
+                const ci = renumber.get(community[i]);
+                for (const [j, w] of out) {
+                    const cj = renumber.get(community[j]);
+                    collapsed[ci].set(cj, (collapsed[ci].get(cj) || 0) + w);
+                }
+            });
+            graph = collapsed;
+        }
+
+        return {
+            membership: new Map(sortedNodes.map((n, i) => [n, membership[i]])),
+            levels
+        };
+    }
+
+    /**
+     * One Louvain level: move nodes to the neighbouring community with the
+     * best modularity gain until no move helps.
+     */
+    _localMoving(graph) {
+        const n = graph.length;
+        const strength = graph.map(out => [...out.values()].reduce((a, b) => a + b, 0));
+        const m2 = strength.reduce((a, b) => a + b, 0);
+        const community = graph.map((_, i) => i);
+        if (m2 === 0) return { community, moved: false };
+
+        const total = strength.slice(); // community → sum of member strengths
+        let moved = false;
+        let improved = true;
+        let passes = 0;
+        while (improved && passes < 50) {
+            improved = false;
+            passes++;
+            for (let i = 0; i < n; i++) {
+                const own = community[i];
+                const k = strength[i];
+
+                // Weight from i to each neighbouring community (self-loop excluded)
+                const links = new Map();
+                for (const [j, w] of graph[i]) {
+                    if (j === i) continue;
+                    links.set(community[j], (links.get(community[j]) || 0) + w);
+                }
+
+                total[own] -= k;
+                let best = own;
+                let bestGain = (links.get(own) || 0) - this.resolution * total[own] * k / m2;
+                for (const [c, w] of links) {
+                    const gain = w - this.resolution * total[c] * k / m2;
+                    if (gain > bestGain + 1e-12) {
+                        best = c;
+                        bestGain = gain;
+                    }
+                }
+                total[best] += k;
+
+                if (best !== own) {
+                    community[i] = best;
+                    improved = true;
+                    moved = true;
+                }
+            }
+        }
+        return { community, moved };
+    }
+
+    /**
+     * Modularity of a partition (0 for an empty graph).
+     */
+    modularity(adjacency, membership) {
+        let m2 = 0;
+        const total = new Map();
+        let internal = 0;
+        for (const [node, out] of adjacency) {
+            const c = membership.get(node);
+            for (const [other, w] of out) {
+                m2 += w;
+                total.set(c, (total.get(c) || 0) + w);
+                if (membership.get(other) === c) internal += w;
+            }
+        }
+        if (m2 === 0) return 0;
+        let expected = 0;
+        for (const t of total.values()) expected += (t / m2) ** 2;
+        return internal / m2 - this.resolution * expected;
+    }
+
+    /**
+     * Stored communities, largest first.
+     *
+     * @param {string} agentId
+     * @param {Object} [options] - { limit, minSize }
+     */
+    list(agentId, options) {
+        const opts = options || {};
+        return this.store.db.prepare(`
+            SELECT * FROM communities
+            WHERE agent_id = ? AND size >= ?
+            ORDER BY size DESC, id
+            LIMIT ?
+        `).all(agentId || 'main', opts.minSize || 0, opts.limit || 50).map(c => this._format(c));
+    }
+
+    /**
+     * The community an entity belongs to, or null.
+     */
+    ofEntity(entityId, agentId) {
+        const row = this.store.db.prepare(`
+            SELECT c.* FROM communities c
+            JOIN entities e ON e.community_id = c.id AND e.agent_id = c.agent_id
+            WHERE e.id = ? AND e.agent_id = ?
+        `).get(entityId, agentId || 'main');
+        return row ? this._format(row) : null;
+    }
+
+    /**
+     * Members of a community, most important first.
+     *
+     * @param {number} communityId
+     * @param {string} agentId
+     * @param {Object} [options] - { limit, exclude: entity ID to leave out }
+     * @returns {Array} Entity rows
+     */
+    members(communityId, agentId, options) {
+        const opts = options || {};
+        return this.store.db.prepare(`
+            SELECT * FROM entities
+            WHERE agent_id = ? AND community_id = ? AND id != ?
+            ORDER BY COALESCE(importance, 0) DESC, mention_count DESC
+            LIMIT ?
+        `).all(agentId || 'main', communityId, opts.exclude || '', opts.limit || 50);
+    }
+
+    _format(row) {
+        return {
+            id: row.id,
+            label: row.label,
+            size: row.size,
+            topMembers: JSON.parse(row.top_members || '[]'),
+            computedAt: row.computed_at
+        };
+    }
+}
+
+module.exports = Communities;
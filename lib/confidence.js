@@ -0,0 +1,97 @@
+/**
+ * Confidence Aggregation — Combine repeated evidence for a triple.
+ *
+ * A triple's stored confidence is derived from its provenance rows
+ * (triple_sources), so it can always be recomputed. Evidence is grouped
+ * per exchange first: the fast path and the LLM reading the same exchange
+ * are one observation, not two. Strategies:
+ *
+ *   max       strongest single observation (the historical behavior)
+ *   noisy_or  independent observations: 1 − Π(1 − cᵢ)  (default)
+ *   bayesian  log-odds update from a base rate; each observation moves
+ *             the belief by logit(prior of its extractor), weighted by
+ *             the confidence the extractor stated
+ */
+
+const STRATEGIES = ['max', 'noisy_or', 'bayesian'];
+
+const DEFAULT_POLICY = {
+    strategy: 'noisy_or',
+    baseRate: 0.5,
+    maxConfidence: 0.99,
+    extractorPriors: {
+        fast: 0.6,
+        llm: 0.8,
+        manual: 0.95,
+        unknown: 0.6
+    }
+};
+
+const EPSILON = 0.01;
+
+function clamp(p, lo, hi) {
+    return Math.max(lo, Math.min(hi, p));
+}
+
+function logit(p) {
+    const q = clamp(p, EPSILON, 1 - EPSILON);
+    return Math.log(q / (1 - q));
+}
+
+function sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+/**
+ * Merge a config section over the defaults and validate the strategy.
+ *
+ * @param {Object} [config] - config.confidence
+ * @returns {Object} Complete policy
+ */
+function normalizePolicy(config) {
+    const cfg = config || {};
+    const strategy = cfg.strategy || DEFAULT_POLICY.strategy;
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown confidence strategy "${strategy}" (expected ${STRATEGIES.join(', ')})`);
+    }
+    return {
+        ...DEFAULT_POLICY,
+        ...cfg,
+        strategy,
+        extractorPriors: { ...DEFAULT_POLICY.extractorPriors, ...(cfg.extractorPriors || {}) }
+    };
+}
+
+/**
+ * Aggregate provenance rows into one confidence.
+ *
+ * @param {Array<{exchange_id: string, extractor: string, confidence: number}>} sources
+ * @param {Object} policy - From normalizePolicy
+ * @returns {number|null} Aggregated confidence, or null without evidence
+ */
+function aggregate(sources, policy) {
+    if (!sources || sources.length === 0) return null;
+    const priors = policy.extractorPriors;
+    const priorOf = (extractor) => priors[extractor] ?? priors.unknown;
+
+    // One observation per exchange: the strongest extractor reading of it
+    const byExchange = new Map();
+    for (const src of sources) {
+        const c = clamp(src.confidence ?? 1.0, 0, 1);
+        const weight = policy.strategy === 'bayesian' ? c * logit(priorOf(src.extractor)) : c;
+        const current = byExchange.get(src.exchange_id);
+        if (current === undefined || weight > current) byExchange.set(src.exchange_id, weight);
+    }
+    const observations = [...byExchange.values()];
+
+    if (policy.strategy === 'max') {
+        return Math.max(...observations);
+    }
+    // Combining strategies approach 1 with enough evidence; keep them below certainty
+    const combined = policy.strategy === 'noisy_or'
+        ? 1 - observations.reduce((miss, c) => miss * (1 - c), 1)
+        : sigmoid(logit(policy.baseRate) + observations.reduce((sum, w) => sum + w, 0));
+    return clamp(combined, 0, policy.maxConfidence);
+}
+
+module.exports = { STRATEGIES, DEFAULT_POLICY, normalizePolicy, aggregate };
@@ -2,37 +2,117 @@
  * Context Builder — Generate natural-language relationship summaries.
  *
  * Produces the [GRAPH CONTEXT] block injected into agent context.
- * Queries the graph for top relationships of matched entities,
- * converts predicate triples to readable sentences, and caps output.
+ * Queries the graph for candidate relationships of matched entities,
+ * converts predicate triples to readable sentences, and packs them into
+ * a size budget. Sentence templates come from the predicate registry
+ * ("works on {object}"); predicates without one are read as a verb phrase
+ * ("suffers from {object}"), so every fact can be rendered.
+ * Literal objects render as stored ("weighs 82 kg") and qualifiers as a
+ * trailing parenthetical.
+ *
+ * The parenthetical also says how current a fact is. A value that replaced
+ * an earlier one gets "since March, previously 84 kg"; any other fact
+ * whose last evidence is temporal.asOfAfterDays old gets "as of 3 weeks
+ * ago". Past its predicate's freshness window (freshDays, then
+ * halfLifeDays, then temporal.staleAfterDays) it is "possibly outdated".
+ *
+ * Each candidate fact is scored on its own, weighted by confidence:
+ *   - relevance  — touches a queried entity, links two of them, or shares
+ *                  words with the question ("where does Dan work" → works_at)
+ *   - importance — of the entity on the far side
+ *   - recency    — of the last evidence, halving every recencyHalfLifeDays
+ *   - novelty    — not injected in the last noveltyTurns turns
+ * Every further fact about the same entity is discounted by
+ * redundancyDecay, so a hub cannot fill the block with its own facts.
+ * Facts are then added greedily, best first, to their entity's sentence
+ * while the block stays within maxTokens (or maxChars) and maxLines; the
+ * ones that do not fit are reported as dropped.
+ *
+ * Sentences are about the queried entities. A fact where the queried
+ * entity is the object is told from its side with the predicate's inverse
+ * phrasing ("Fenrir is used by Vector, is worked on by Dan, and is part of
+ * Atlas"), so both directions merge into one summary per entity. Facts
+ * with no reverse reading stay with their subject, after the queried
+ * entities' lines.
+ *
+ * The block is rendered in the agent's locale (agentLocales, then locale),
+ * or with locale "auto" in the language of the user's message, falling
+ * back to fallbackLocale when it cannot be told. See locales.js.
  *
  * Phase 5 of the knowledge graph plugin.
  */
 
-const PREDICATE_TEMPLATES = {
-    created:       (s, o) => `created ${o}`,
-    uses:          (s, o) => `uses ${o}`,
-    knows:         (s, o) => `knows ${o}`,
-    works_on:      (s, o) => `works on ${o}`,
-    interested_in: (s, o) => `is interested in ${o}`,
-    located_in:    (s, o) => `is in ${o}`,
-    part_of:       (s, o) => `is part of ${o}`,
-    prefers:       (s, o) => `prefers ${o}`,
-    causes:        (s, o) => `leads to ${o}`,
-    has_property:  (s, o) => `has ${o}`,
-    occurred_at:   (s, o) => `occurred at ${o}`,
-    related_to:    (s, o) => `is related to ${o}`
-};
+const { qualifierParts } = require('./literals');
+const locales = require('./locales');
+
+const DEFAULT_WEIGHTS = { relevance: 0.4, importance: 0.2, recency: 0.2, novelty: 0.2 };
+const CHARS_PER_TOKEN = 4;
+const LINE_PREFIX = '- ';
+
+// Words that say nothing about which fact is wanted
+const QUERY_STOP_WORDS = new Set([
+    'the', 'and', 'but', 'for', 'with', 'from', 'about', 'what', 'who', 'whom',
+    'where', 'when', 'which', 'why', 'how', 'does', 'did', 'has', 'have',
+    'had', 'was', 'were', 'are', 'his', 'her', 'hers', 'their', 'them',
+    'they', 'she', 'him', 'you', 'your', 'our', 'can', 'could', 'would', 'should',
+    'will', 'tell', 'know', 'any', 'all', 'this', 'that', 'these', 'those', 'there',
+    'here', 'again', 'still', 'now', 'just', 'some', 'been', 'into', 'onto'
+]);
+
+function terms(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)
+        .filter(w => w.length >= 3 && !QUERY_STOP_WORDS.has(w));
+}
+
+// Same word up to inflection: "work" / "works" / "working"
+function sameStem(a, b) {
+    if (a === b) return true;
+    return a.length >= 4 && b.length >= 4 && a.slice(0, 4) === b.slice(0, 4);
+}
+
+function parseTimestamp(value) {
+    if (!value) return null;
+    const t = Date.parse(/^\d{4}-\d{2}-\d{2} /.test(value) ? value.replace(' ', 'T') + 'Z' : value);
+    return Number.isNaN(t) ? null : t;
+}
 
 class ContextBuilder {
     /**
      * @param {Object} config - contextInjection config section
+     * @param {PredicateRegistry} predicates - Source of sentence templates
      */
-    constructor(config) {
+    constructor(config, predicates) {
         this.config = config || {};
+        this.predicates = predicates;
         this.maxLines = this.config.maxLines || 5;
+        this.maxTokens = this.config.maxTokens || 200;
+        this.maxChars = this.config.maxChars || null;
         this.minConfidence = this.config.minConfidence || 0.6;
         this.minMentionCount = this.config.minMentionCount || 2;
         this.excludePredicates = new Set(this.config.excludePredicates || ['related_to']);
+        this.candidateLimit = this.config.candidateLimit || 200;
+        this.weights = {
+            ...DEFAULT_WEIGHTS,
+            ...(this.config.importanceWeight !== undefined ? { importance: this.config.importanceWeight } : {}),
+            ...(this.config.weights || {})
+        };
+        this.recencyHalfLifeDays = this.config.recencyHalfLifeDays || 30;
+        this.noveltyTurns = this.config.noveltyTurns ?? 3;
+        this.redundancyDecay = this.config.redundancyDecay ?? 0.7;
+        this.locale = this.config.locale || 'auto';
+        this.fallbackLocale = locales.resolve(this.config.fallbackLocale) || locales.DEFAULT_LOCALE;
+        this.agentLocales = this.config.agentLocales || {};
+        this.templates = this.config.templates || {}; // locale → predicate → template
+        this.inverseTemplates = this.config.inverseTemplates || {}; // locale → predicate → template
+        this.temporal = {
+            enabled: this.config.temporal?.enabled !== false,
+            asOfAfterDays: this.config.temporal?.asOfAfterDays ?? 7,
+            staleAfterDays: this.config.temporal?.staleAfterDays ?? 180,
+            previousValues: this.config.temporal?.previousValues !== false
+        };
+
+        // agentId → { turn, injected: Map(fact key → turn last injected) }
+        this._history = new Map();
     }
 
     /**
@@ -41,36 +121,114 @@ class ContextBuilder {
      * @param {string[]} entityIds - Normalized entity IDs from query
      * @param {string} agentId
      * @param {GraphStore} store
+     * @param {Object} [options] - See build()
      * @returns {string[]} Array of summary sentences
      */
-    buildContext(entityIds, agentId, store) {
-        if (!entityIds || entityIds.length === 0) return [];
+    buildContext(entityIds, agentId, store, options) {
+        return this.build(entityIds, agentId, store, options).lines;
+    }
+
+    /**
+     * Score, rank and pack facts about the query entities into the budget.
+     *
+     * @param {string[]} entityIds - Normalized entity IDs from query
+     * @param {string} agentId
+     * @param {GraphStore} store
+     * @param {Object} [options]
+     * @param {string} [options.query] - The user's message, for relevance
+     * @param {number} [options.maxTokens] - Override the configured budget
+     * @param {number} [options.maxChars] - Budget in characters (wins over maxTokens)
+     * @param {boolean} [options.record] - Remember the injected facts for novelty
+     * @param {string} [options.locale] - Override the configured locale ("auto" detects)
+     * @param {string|number} [options.now] - Reference time for ages (default: now)
+     * @returns {{ locale: string, header: string, lines: string[], used: { chars: number, tokens: number },
+     *   budget: { chars: number, tokens: number }, facts: Array, dropped: Array }}
+     *   facts and dropped list { subject, predicate, object, score } (dropped adds reason)
+     */
+    build(entityIds, agentId, store, options) {
+        const opts = options || {};
+        const maxChars = opts.maxChars || (opts.maxTokens ? null : this.maxChars) ||
+            (opts.maxTokens || this.maxTokens) * CHARS_PER_TOKEN;
+        const locale = this.localeFor(agentId, opts.query, opts.locale);
+        const pack = locales.pack(locale);
+        const report = {
+            locale,
+            header: pack.header,
+            lines: [],
+            used: { chars: 0, tokens: 0 },
+            budget: { chars: maxChars, tokens: Math.floor(maxChars / CHARS_PER_TOKEN) },
+            facts: [],
+            dropped: []
+        };
+        if (!entityIds || entityIds.length === 0) return report;
 
         const aid = agentId || 'main';
+        const now = opts.now !== undefined ? new Date(opts.now).getTime() : Date.now();
+        const candidates = this._candidates(entityIds, aid, store, locale, now);
+        if (candidates.length === 0) return report;
+
+        const scored = this._score(candidates, entityIds, aid, opts.query, now);
+        this._pack(scored, new Set(entityIds), maxChars, locale, report);
+
+        if (opts.record) this._record(aid, report.facts);
+        return report;
+    }
+
+    /**
+     * Locale to render in: explicit override, the agent's, then the
+     * configured one; "auto" detects it from the message.
+     *
+     * @returns {string} A supported locale code
+     */
+    localeFor(agentId, query, override) {
+        const setting = override || this.agentLocales[agentId || 'main'] || this.locale;
+        if (setting === 'auto') return locales.detect(query) || this.fallbackLocale;
+        return locales.resolve(setting) || this.fallbackLocale;
+    }
+
+    /**
+     * Current facts touching the query entities, deduplicated, each with
+     * the entity its sentence is about (focus) and its clause from that side.
+     */
+    _candidates(entityIds, aid, store, locale, now) {
         const placeholders = entityIds.map(() => '?').join(', ');
 
-        // Fetch top triples for matched entities with canonical names
+        // Fetch candidate triples for matched entities with canonical names
         const sql = `
-            SELECT t.subject, t.predicate, t.object, t.confidence,
+            SELECT t.id, t.subject, t.predicate, t.object, t.confidence, t.object_kind, t.qualifiers,
+                   t.updated_at, t.valid_from,
+                   (SELECT MAX(ts.source_date) FROM triple_sources ts WHERE ts.triple_id = t.id) as last_source_date,
+                   prev.object as prev_object, prev.object_kind as prev_kind, e_prev.canonical_name as prev_name,
                    e_sub.canonical_name as sub_name,
                    e_obj.canonical_name as obj_name,
-                   e_obj.mention_count as obj_mentions
+                   e_obj.mention_count as obj_mentions,
+                   e_sub.importance as sub_importance,
+                   e_obj.importance as obj_importance
             FROM triples t
             LEFT JOIN entities e_sub ON e_sub.id = t.subject AND e_sub.agent_id = ?
             LEFT JOIN entities e_obj ON e_obj.id = t.object AND e_obj.agent_id = ?
+            LEFT JOIN triples prev ON prev.id = (
+                SELECT p.id FROM triples p
+                WHERE p.subject = t.subject AND p.predicate = t.predicate AND p.agent_id = t.agent_id
+                    AND p.superseded_by = t.id
+                ORDER BY p.valid_from DESC LIMIT 1
+            )
+            LEFT JOIN entities e_prev ON e_prev.id = prev.object AND e_prev.agent_id = ?
             WHERE (t.subject IN (${placeholders}) OR t.object IN (${placeholders}))
                 AND t.agent_id = ?
+                AND t.valid_to IS NULL
                 AND t.confidence >= ?
             ORDER BY t.confidence DESC, t.updated_at DESC
-            LIMIT 50
+            LIMIT ?
         `;
 
         const params = [
-            aid, aid,
+            aid, aid, aid,
             ...entityIds,
             ...entityIds,
             aid,
-            this.minConfidence
+            this.minConfidence,
+            this.candidateLimit
         ];
 
         let rows;
@@ -80,69 +238,216 @@ class ContextBuilder {
             return [];
         }
 
-        if (rows.length === 0) return [];
-
-        // Filter: exclude noisy predicates, require registered entities
-        const filtered = rows.filter(r => {
-            if (this.excludePredicates.has(r.predicate)) return false;
+        const queried = new Set(entityIds);
+        const seen = new Set();
+        const candidates = [];
+        for (const r of rows) {
+            // Exclude noisy predicates, require registered entities
+            if (this.excludePredicates.has(r.predicate)) continue;
             // At least one side must have a canonical name
-            if (!r.sub_name && !r.obj_name) return false;
+            if (!r.sub_name && !r.obj_name) continue;
             // Object entity should have minimum mentions (if registered)
-            if (r.obj_mentions !== null && r.obj_mentions < this.minMentionCount) return false;
-            return true;
-        });
+            if (r.obj_mentions !== null && r.obj_mentions < this.minMentionCount) continue;
 
-        // Deduplicate: keep highest confidence per (subject, predicate, object)
-        const seen = new Set();
-        const unique = [];
-        for (const r of filtered) {
             const key = `${r.subject}|${r.predicate}|${r.object}`;
-            if (!seen.has(key)) {
-                seen.add(key);
-                unique.push(r);
-            }
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            // Object-side match: tell it from the queried entity's side if the predicate reads backwards
+            const inverse = !queried.has(r.subject) && queried.has(r.object)
+                ? this._inverseClause(r, aid, locale, now)
+                : null;
+            candidates.push({
+                ...r,
+                key,
+                subName: r.sub_name || r.subject,
+                direction: inverse ? 'inverse' : 'forward',
+                focus: inverse ? r.object : r.subject,
+                focusName: inverse ? (r.obj_name || r.object) : (r.sub_name || r.subject),
+                clause: inverse || this._clause(r, aid, locale, now)
+            });
         }
+        return candidates;
+    }
 
-        // Group by subject for compound sentences
-        const grouped = new Map();
-        for (const r of unique) {
-            const subName = r.sub_name || r.subject;
-            if (!grouped.has(subName)) {
-                grouped.set(subName, []);
-            }
-            grouped.get(subName).push(r);
+    _clause(r, aid, locale, now) {
+        const pack = locales.pack(locale);
+        const objName = this._objectText(r.object, r.object_kind, r.obj_name, pack);
+
+        // Localized phrase, else the registry's (English) template
+        const template = locales.template(pack, r.predicate, this.templates[locale]);
+        const clause = template
+            ? template.replace('{object}', objName)
+            : this.predicates.clause(r.predicate, objName, aid);
+
+        const notes = [...qualifierParts(r.qualifiers), ...this._temporalNotes(r, aid, pack, now, false)];
+        return notes.length > 0 ? `${clause} (${notes.join(', ')})` : clause;
+    }
+
+    /**
+     * The fact told from the object's side ("is used by Vector"), or null
+     * when neither the locale nor the registry has a reverse reading.
+     */
+    _inverseClause(r, aid, locale, now) {
+        const pack = locales.pack(locale);
+        const subName = r.sub_name || r.subject;
+        const template = locales.inverseTemplate(pack, r.predicate, this.inverseTemplates[locale]);
+        let clause;
+        if (template) clause = template.replace('{subject}', subName);
+        else if (this.predicates.isSymmetric(r.predicate, aid)) {
+            const forward = locales.template(pack, r.predicate, this.templates[locale]);
+            clause = forward ? forward.replace('{object}', subName) : this.predicates.inverseClause(r.predicate, subName, aid);
+        } else clause = this.predicates.inverseClause(r.predicate, subName, aid);
+        if (!clause) return null;
+
+        const notes = [...qualifierParts(r.qualifiers), ...this._temporalNotes(r, aid, pack, now, true)];
+        return notes.length > 0 ? `${clause} (${notes.join(', ')})` : clause;
+    }
+
+    _objectText(object, kind, entityName, pack) {
+        if (kind === 'date') return locales.formatDate(object, pack);
+        if (kind === 'number') return locales.formatNumber(object, pack);
+        if (kind && kind !== 'entity') return object;
+        return entityName || object;
+    }
+
+    /**
+     * Time notes for a fact: when its value took over and what it replaced,
+     * or how old its evidence is, and whether it is past its freshness window.
+     * Told from the object's side, the replaced value is the subject's old
+     * object and would only confuse, so just the start is kept.
+     */
+    _temporalNotes(r, aid, pack, now, inverse) {
+        if (!this.temporal.enabled) return [];
+        const notes = [];
+        const lastSeen = parseTimestamp(r.last_source_date) ?? parseTimestamp(r.updated_at);
+        const ageDays = lastSeen === null ? null : Math.max(0, (now - lastSeen) / 86400000);
+
+        if (r.prev_object !== null && r.prev_object !== undefined && this.temporal.previousValues) {
+            if (r.valid_from) notes.push(pack.since(locales.formatSince(r.valid_from, pack, now)));
+            if (!inverse) notes.push(pack.previously(this._objectText(r.prev_object, r.prev_kind, r.prev_name, pack)));
+        } else if (ageDays !== null && ageDays >= this.temporal.asOfAfterDays) {
+            notes.push(pack.asOf(locales.formatAge(ageDays, pack)));
         }
 
-        // Build sentences
-        const sentences = [];
-        for (const [subName, triples] of grouped) {
-            const clauses = [];
-            for (const t of triples) {
-                const objName = t.obj_name || t.object;
-                const template = PREDICATE_TEMPLATES[t.predicate];
-                if (template) {
-                    clauses.push(template(subName, objName));
-                }
-            }
+        const freshDays = this.predicates.freshDays(r.predicate, aid) ?? this.temporal.staleAfterDays;
+        if (ageDays !== null && freshDays && ageDays > freshDays) notes.push(pack.outdated);
+        return notes;
+    }
+
+    /**
+     * Score each candidate and rank, discounting repeats about one entity.
+     */
+    _score(candidates, entityIds, aid, query, now) {
+        const queried = new Set(entityIds);
+        const w = this.weights;
+        const totalWeight = (w.relevance + w.importance + w.recency + w.novelty) || 1;
+
+        // Question words beyond the entity names themselves
+        const nameTerms = new Set();
+        for (const c of candidates) {
+            if (queried.has(c.subject)) terms(c.subName).forEach(t => nameTerms.add(t));
+            if (queried.has(c.object)) terms(c.obj_name || c.object).forEach(t => nameTerms.add(t));
+        }
+        const queryTerms = [...new Set(terms(query))].filter(t => !nameTerms.has(t));
 
-            if (clauses.length === 0) continue;
-
-            // Compound sentence: "Chris created OpenClaw, uses DeepSeek, and knows Dan"
-            let sentence;
-            if (clauses.length === 1) {
-                sentence = `${subName} ${clauses[0]}`;
-            } else if (clauses.length === 2) {
-                sentence = `${subName} ${clauses[0]} and ${clauses[1]}`;
-            } else {
-                const last = clauses.pop();
-                sentence = `${subName} ${clauses.join(', ')}, and ${last}`;
+        const history = this._history.get(aid);
+
+        for (const c of candidates) {
+            const bothQueried = queried.has(c.subject) && queried.has(c.object);
+            let overlap = 0;
+            if (queryTerms.length > 0) {
+                const factTerms = terms(`${c.predicate.replace(/_/g, ' ')} ${c.clause} ${c.subName}`);
+                overlap = queryTerms.filter(q => factTerms.some(f => sameStem(q, f))).length /
+                    Math.min(queryTerms.length, 3);
             }
+            const relevance = Math.min(1, 0.4 + (bothQueried ? 0.3 : 0) + 0.6 * Math.min(1, overlap));
+
+            const other = queried.has(c.subject) ? c.obj_importance : c.sub_importance;
+            const importance = other ?? 0.5; // unscored counts as middling
+
+            const updated = parseTimestamp(c.last_source_date) ?? parseTimestamp(c.updated_at);
+            const ageDays = updated === null ? Infinity : Math.max(0, (now - updated) / 86400000);
+            const recency = Number.isFinite(ageDays) ? Math.pow(0.5, ageDays / this.recencyHalfLifeDays) : 0;
+
+            const lastTurn = history?.injected.get(c.key);
+            const novelty = lastTurn !== undefined && history.turn - lastTurn < this.noveltyTurns ? 0 : 1;
+
+            c.components = { relevance, importance, recency, novelty };
+            c.score = c.confidence * (
+                w.relevance * relevance + w.importance * importance +
+                w.recency * recency + w.novelty * novelty
+            ) / totalWeight;
+        }
 
-            sentences.push(sentence);
-            if (sentences.length >= this.maxLines) break;
+        // Diminishing returns per sentence entity
+        candidates.sort((a, b) => b.score - a.score || a.id - b.id);
+        const perFocus = new Map();
+        for (const c of candidates) {
+            const n = perFocus.get(c.focus) || 0;
+            c.score *= Math.pow(this.redundancyDecay, n);
+            perFocus.set(c.focus, n + 1);
         }
+        return candidates.sort((a, b) => b.score - a.score || a.id - b.id);
+    }
+
+    /**
+     * Greedy packing: each fact joins its entity's sentence if the whole
+     * block still fits; a new entity also needs a free line. Queried
+     * entities' sentences come first.
+     */
+    _pack(ranked, queried, maxChars, locale, report) {
+        const pack = locales.pack(locale);
+        const groups = new Map(); // focus entity → { name, clauses }
+        const lineLength = (name, clauses) => LINE_PREFIX.length + this._sentence(name, clauses, pack).length + 1;
+        let used = 0;
 
-        return sentences;
+        for (const c of ranked) {
+            const fact = {
+                id: c.id,
+                subject: c.subject,
+                predicate: c.predicate,
+                object: c.object,
+                direction: c.direction,
+                score: Math.round(c.score * 1000) / 1000
+            };
+            const group = groups.get(c.focus);
+            if (!group && groups.size >= this.maxLines) {
+                report.dropped.push({ ...fact, reason: 'maxLines' });
+                continue;
+            }
+            const clauses = group?.clauses || [];
+            const before = group ? lineLength(c.focusName, clauses) : 0;
+            const after = lineLength(c.focusName, [...clauses, c.clause]);
+            if (used - before + after > maxChars) {
+                report.dropped.push({ ...fact, reason: 'budget' });
+                continue;
+            }
+            used += after - before;
+            if (group) group.clauses.push(c.clause);
+            else groups.set(c.focus, { name: c.focusName, clauses: [c.clause] });
+            report.facts.push(fact);
+        }
+
+        const ordered = [...groups].sort(([a], [b]) => Number(queried.has(b)) - Number(queried.has(a)));
+        report.lines = ordered.map(([, g]) => this._sentence(g.name, g.clauses, pack));
+        report.used = { chars: used, tokens: Math.ceil(used / CHARS_PER_TOKEN) };
+    }
+
+    // Compound sentence: "Chris created OpenClaw, uses DeepSeek, and knows Dan"
+    _sentence(name, clauses, pack) {
+        return `${name} ${locales.joinList(clauses, pack)}`;
+    }
+
+    _record(aid, facts) {
+        if (!this._history.has(aid)) this._history.set(aid, { turn: 0, injected: new Map() });
+        const history = this._history.get(aid);
+        history.turn++;
+        for (const f of facts) history.injected.set(`${f.subject}|${f.predicate}|${f.object}`, history.turn);
+        // Forget facts too old to affect novelty
+        for (const [key, turn] of history.injected) {
+            if (history.turn - turn >= this.noveltyTurns) history.injected.delete(key);
+        }
     }
 }
 
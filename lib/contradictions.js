@@ -0,0 +1,258 @@
+/**
+ * Contradiction Detector — Catch facts that cannot both be true.
+ *
+ * Two kinds of conflict are checked when a new triple is written:
+ *
+ *   antonym       an opposing predicate already holds for the same pair
+ *                 ("Vector likes coffee" vs "Vector dislikes coffee"),
+ *                 from configurable antonym pairs
+ *   single_value  a single-valued predicate gets a different value stated
+ *                 at the same time as the current one
+ *
+ * Resolution goes by recency first: statements further apart than
+ * windowDays are a change over time, and the later one wins. Within the
+ * window the more confident side wins if it leads by confidenceMargin;
+ * otherwise (or with autoResolve off) both stay current and the pair is
+ * marked disputed until more evidence or a manual decision settles it.
+ * Losers of a same-time conflict are retracted (valid_to = valid_from).
+ *
+ * Every antonym conflict and every same-time clash is logged in the
+ * contradictions table; ordinary value changes are not. Facts stated in
+ * the same exchange never clash ("likes coffee and tea"): both stay current.
+ */
+
+const DEFAULT_ANTONYMS = [
+    ['likes', 'dislikes'], ['likes', 'hates'],
+    ['loves', 'hates'], ['loves', 'dislikes'],
+    ['enjoys', 'hates'], ['enjoys', 'dislikes'],
+    ['trusts', 'fears'], ['wants', 'avoids']
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ContradictionDetector {
+    /**
+     * @param {import('better-sqlite3').Database} db
+     * @param {Object} [config] - contradictions config section
+     */
+    constructor(db, config) {
+        this.db = db;
+        this.config = config || {};
+        this.enabled = this.config.enabled !== false;
+        this.windowDays = this.config.windowDays ?? 1;
+        this.confidenceMargin = this.config.confidenceMargin ?? 0.2;
+        this.autoResolve = this.config.autoResolve !== false;
+
+        this._antonyms = new Map(); // predicate → Set of opposing predicates
+        for (const [a, b] of (this.config.antonyms || DEFAULT_ANTONYMS)) {
+            if (!a || !b) continue;
+            if (!this._antonyms.has(a)) this._antonyms.set(a, new Set());
+            if (!this._antonyms.has(b)) this._antonyms.set(b, new Set());
+            this._antonyms.get(a).add(b);
+            this._antonyms.get(b).add(a);
+        }
+
+        this._findCurrent = this.db.prepare(`
+            SELECT * FROM triples
+            WHERE subject = ? AND predicate = ? AND object = ? AND agent_id = ? AND valid_to IS NULL
+        `);
+
+        this._insert = this.db.prepare(`
+            INSERT INTO contradictions (agent_id, kind, triple_a, triple_b, status, resolution, winner, resolved_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, CASE WHEN ? = 'resolved' THEN datetime('now') END)
+        `);
+
+        this._get = this.db.prepare(`SELECT * FROM contradictions WHERE id = ?`);
+
+        this._sharesExchange = this.db.prepare(`
+            SELECT 1 FROM triple_sources WHERE triple_id = ? AND exchange_id = ?
+        `);
+
+        this._openForTriple = this.db.prepare(`
+            SELECT * FROM contradictions
+            WHERE status = 'disputed' AND (triple_a = ? OR triple_b = ?)
+        `);
+
+        this._markResolved = this.db.prepare(`
+            UPDATE contradictions
+            SET status = 'resolved', resolution = ?, winner = ?, resolved_at = datetime('now')
+            WHERE id = ?
+        `);
+
+        // A later value closed one side, so the dispute no longer matters
+        this._markSuperseded = this.db.prepare(`
+            UPDATE contradictions
+            SET status = 'resolved', resolution = 'superseded', resolved_at = datetime('now')
+            WHERE status = 'disputed' AND (triple_a = ? OR triple_b = ?)
+        `);
+
+        // The losing claim of a same-time conflict never held
+        this._retract = this.db.prepare(`
+            UPDATE triples SET valid_to = valid_from, superseded_by = ? WHERE id = ? AND valid_to IS NULL
+        `);
+
+        this._getTriple = this.db.prepare(`SELECT * FROM triples WHERE id = ?`);
+
+        this._listSql = `
+            SELECT c.*,
+                   ta.subject AS a_subject, ta.predicate AS a_predicate, ta.object AS a_object,
+                   ta.confidence AS a_confidence, ta.valid_from AS a_valid_from,
+                   tb.subject AS b_subject, tb.predicate AS b_predicate, tb.object AS b_object,
+                   tb.confidence AS b_confidence, tb.valid_from AS b_valid_from
+            FROM contradictions c
+            JOIN triples ta ON ta.id = c.triple_a
+            JOIN triples tb ON tb.id = c.triple_b
+        `;
+    }
+
+    /**
+     * Current triples that oppose (subject, predicate, object) through an antonym pair.
+     * @returns {Array} Triple rows
+     */
+    antonymRivals(subjectId, predicate, objectId, agentId) {
+        if (!this.enabled) return [];
+        const rivals = [];
+        for (const opposite of (this._antonyms.get(predicate) || [])) {
+            rivals.push(...this._findCurrent.all(subjectId, opposite, objectId, agentId));
+        }
+        return rivals;
+    }
+
+    /**
+     * Decide between an existing triple and an incoming statement.
+     *
+     * @param {Object} existing - Triple row (valid_from, confidence)
+     * @param {{ date: string, confidence: number, exchangeId?: string }} incoming
+     * @param {'antonym'|'single_value'} kind
+     * @returns {{ outcome: 'supersede'|'yield'|'dispute'|'coexist', resolution: string|null, logged: boolean }}
+     *   supersede: incoming replaces existing; yield: existing stays and incoming
+     *   becomes history; dispute: both stay current; coexist: both stay current,
+     *   no conflict (stated together in one exchange)
+     */
+    decide(existing, incoming, kind) {
+        if (incoming.exchangeId && existing.id && this._sharesExchange.get(existing.id, incoming.exchangeId)) {
+            return { outcome: 'coexist', resolution: null, logged: false };
+        }
+
+        const apart = (Date.parse(incoming.date) - Date.parse(existing.valid_from)) / DAY_MS;
+
+        if (!this.enabled || Math.abs(apart) >= this.windowDays || Number.isNaN(apart)) {
+            // A change over time. For single values that is just supersession.
+            const logged = this.enabled && kind === 'antonym';
+            return apart < 0
+                ? { outcome: 'yield', resolution: 'recency', logged }
+                : { outcome: 'supersede', resolution: 'recency', logged };
+        }
+
+        const lead = (incoming.confidence ?? 1.0) - (existing.confidence ?? 1.0);
+        if (this.autoResolve && Math.abs(lead) >= this.confidenceMargin) {
+            return { outcome: lead > 0 ? 'supersede' : 'yield', resolution: 'confidence', logged: true };
+        }
+        return { outcome: 'dispute', resolution: null, logged: true };
+    }
+
+    /**
+     * Log a conflict between an existing triple (a) and the incoming one (b).
+     */
+    record(agentId, kind, existingId, incomingId, decision) {
+        const status = decision.outcome === 'dispute' ? 'disputed' : 'resolved';
+        const winner = decision.outcome === 'supersede' ? incomingId
+            : decision.outcome === 'yield' ? existingId
+                : null;
+        this._insert.run(agentId, kind, existingId, incomingId, status, decision.resolution, winner, status);
+    }
+
+    /**
+     * Re-examine open disputes after a triple gained evidence: a side that now
+     * leads by confidenceMargin wins.
+     *
+     * @returns {number} Disputes resolved
+     */
+    reconsider(tripleId) {
+        if (!this.enabled || !this.autoResolve) return 0;
+        let resolved = 0;
+        for (const c of this._openForTriple.all(tripleId, tripleId)) {
+            const a = this._getTriple.get(c.triple_a);
+            const b = this._getTriple.get(c.triple_b);
+            if (!a || !b) continue;
+            const lead = b.confidence - a.confidence;
+            if (Math.abs(lead) < this.confidenceMargin) continue;
+            this._settle(c, lead > 0 ? b.id : a.id, 'confidence');
+            resolved++;
+        }
+        return resolved;
+    }
+
+    /**
+     * Settle open disputes involving a triple that a later value has closed.
+     *
+     * @returns {number} Disputes resolved
+     */
+    superseded(tripleId) {
+        return this._markSuperseded.run(tripleId, tripleId).changes;
+    }
+
+    /**
+     * Manually settle a contradiction in favor of one of its triples.
+     *
+     * @param {number} contradictionId
+     * @param {number} winnerTripleId - triple_a or triple_b
+     * @returns {Object} The updated contradiction
+     */
+    resolve(contradictionId, winnerTripleId) {
+        const c = this._get.get(contradictionId);
+        if (!c) throw new Error(`Contradiction ${contradictionId} not found`);
+        if (c.status !== 'disputed') throw new Error(`Contradiction ${contradictionId} is already resolved`);
+        if (winnerTripleId !== c.triple_a && winnerTripleId !== c.triple_b) {
+            throw new Error(`Triple ${winnerTripleId} is not part of contradiction ${contradictionId}`);
+        }
+        this._settle(c, winnerTripleId, 'manual');
+        return this._get.get(contradictionId);
+    }
+
+    _settle(contradiction, winnerId, resolution) {
+        const loserId = winnerId === contradiction.triple_a ? contradiction.triple_b : contradiction.triple_a;
+        const tx = this.db.transaction(() => {
+            this._retract.run(winnerId, loserId);
+            this._markResolved.run(resolution, winnerId, contradiction.id);
+        });
+        tx();
+    }
+
+    /**
+     * List contradictions for an agent, newest first.
+     *
+     * @param {string} agentId
+     * @param {Object} [options] - { status: 'disputed'|'resolved', entityId, limit }
+     */
+    list(agentId, options) {
+        const opts = options || {};
+        const conditions = ['c.agent_id = ?'];
+        const params = [agentId || 'main'];
+        if (opts.status) { conditions.push('c.status = ?'); params.push(opts.status); }
+        if (opts.status === 'disputed') conditions.push('ta.valid_to IS NULL AND tb.valid_to IS NULL');
+        if (opts.entityId) {
+            conditions.push('(ta.subject = ? OR ta.object = ? OR tb.subject = ? OR tb.object = ?)');
+            params.push(opts.entityId, opts.entityId, opts.entityId, opts.entityId);
+        }
+        params.push(opts.limit || 50);
+        const rows = this.db.prepare(
+            `${this._listSql} WHERE ${conditions.join(' AND ')} ORDER BY c.detected_at DESC, c.id DESC LIMIT ?`
+        ).all(...params);
+        return rows.map(r => ({
+            id: r.id,
+            kind: r.kind,
+            status: r.status,
+            resolution: r.resolution,
+            winner: r.winner,
+            detectedAt: r.detected_at,
+            resolvedAt: r.resolved_at,
+            a: { id: r.triple_a, subject: r.a_subject, predicate: r.a_predicate, object: r.a_object,
+                confidence: r.a_confidence, validFrom: r.a_valid_from },
+            b: { id: r.triple_b, subject: r.b_subject, predicate: r.b_predicate, object: r.b_object,
+                confidence: r.b_confidence, validFrom: r.b_valid_from }
+        }));
+    }
+}
+
+module.exports = ContradictionDetector;
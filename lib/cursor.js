@@ -0,0 +1,56 @@
+/**
+ * Cursor — Opaque tokens for keyset pagination.
+ *
+ * A cursor holds the sort key of the last row of a page, tagged with the
+ * listing it came from (and its sort order), base64url-encoded. The next
+ * page starts strictly after that key, so rows written between requests
+ * neither shift nor repeat what has already been read. A cursor handed to
+ * the wrong listing is rejected rather than silently skipping rows.
+ */
+
+/**
+ * @param {string} kind - Listing the cursor belongs to, e.g. "triples"
+ * @param {Array} key - Sort key of the last row returned
+ * @returns {string}
+ */
+function encode(kind, key) {
+    return Buffer.from(JSON.stringify({ k: kind, v: key })).toString('base64url');
+}
+
+/**
+ * @param {string|null} cursor
+ * @param {string} kind - Expected listing
+ * @returns {Array|null} The sort key, or null for the first page
+ */
+function decode(cursor, kind) {
+    if (!cursor) return null;
+    let parsed;
+    try {
+        parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+        parsed = null;
+    }
+    if (!parsed || parsed.k !== kind || !Array.isArray(parsed.v)) {
+        throw new Error(`Invalid cursor for ${kind}`);
+    }
+    return parsed.v;
+}
+
+/**
+ * Cut a page from rows fetched with one extra row of lookahead.
+ *
+ * @param {Array} rows - Up to limit + 1 rows in sort order
+ * @param {number} limit
+ * @param {string} kind
+ * @param {Function} keyOf - row → sort key
+ * @returns {{ items: Array, nextCursor: string|null }}
+ */
+function page(rows, limit, kind, keyOf) {
+    const items = rows.slice(0, limit);
+    const nextCursor = rows.length > limit && items.length > 0
+        ? encode(kind, keyOf(items[items.length - 1]))
+        : null;
+    return { items, nextCursor };
+}
+
+module.exports = { encode, decode, page };
@@ -25,6 +25,7 @@ class EntityResolver {
         this.pendingMaxAgeDays = config?.pendingMaxAgeDays ?? 30;
         this.recencyBoostDays = config?.recencyBoostDays ?? 7;
         this.cooccurrenceMinCount = config?.cooccurrenceMinCount ?? 2;
+        this.importanceHigh = config?.importanceHigh ?? 0.4;
     }
 
     /**
@@ -54,7 +55,7 @@ class EntityResolver {
         // Score each candidate
         const scored = candidates.map(c => ({
             ...c,
-            resolutionScore: this._scoreCandidate(c, contextEntities)
+            resolutionScore: this._scoreCandidate(c, contextEntities, agentId)
         })).sort((a, b) => b.resolutionScore - a.resolutionScore);
 
         const best = scored[0];
@@ -69,7 +70,7 @@ class EntityResolver {
     /**
      * Compute resolution confidence for a single candidate.
      */
-    _scoreCandidate(candidate, contextEntities) {
+    _scoreCandidate(candidate, contextEntities, agentId) {
         let score = 0.5; // base for any match
 
         // Recency boost
@@ -82,7 +83,7 @@ class EntityResolver {
 
         // Co-occurrence with current context entities
         if (contextEntities && contextEntities.length > 0) {
-            const coocCount = this._countContextCooccurrences(candidate.id, contextEntities);
+            const coocCount = this._countContextCooccurrences(candidate.id, contextEntities, agentId);
             if (coocCount >= this.cooccurrenceMinCount) {
                 score += 0.2;
             } else if (coocCount > 0) {
@@ -90,8 +91,15 @@ class EntityResolver {
             }
         }
 
-        // Mention frequency boost (well-established entities)
-        if (candidate.mention_count > 10) {
+        // Well-established entities: graph importance once computed,
+        // mention frequency before that
+        if (candidate.importance !== null && candidate.importance !== undefined) {
+            if (candidate.importance >= this.importanceHigh) {
+                score += 0.1;
+            } else if (candidate.importance >= this.importanceHigh / 2) {
+                score += 0.05;
+            }
+        } else if (candidate.mention_count > 10) {
             score += 0.1;
         } else if (candidate.mention_count > 3) {
             score += 0.05;
@@ -199,19 +207,10 @@ class EntityResolver {
     /**
      * Count co-occurrences between a candidate entity and the current context entities.
      */
-    _countContextCooccurrences(candidateId, contextEntities) {
+    _countContextCooccurrences(candidateId, contextEntities, agentId) {
         let total = 0;
         for (const ctxName of contextEntities) {
-            const ctxId = this.store.normalizeEntityId(ctxName);
-            const sorted = [candidateId, ctxId].sort();
-            const coocs = this.store._getCooccurrences.all(sorted[0], sorted[0], 1);
-            // Check if this specific pair exists
-            for (const c of coocs) {
-                if ((c.entity_a === sorted[0] && c.entity_b === sorted[1]) ||
-                    (c.entity_a === sorted[1] && c.entity_b === sorted[0])) {
-                    total += c.count;
-                }
-            }
+            total += this.store.getCooccurrenceCount(candidateId, ctxName, agentId);
         }
         return total;
     }
@@ -287,6 +286,10 @@ class EntityResolver {
         // Delete merged entity
         this.store.db.prepare('DELETE FROM entities WHERE id = ?').run(mergeId);
 
+        // Matching now finds the merged name as an alias of keepId
+        this.store.syncGazetteer(keepId, agentId);
+        this.store.syncGazetteer(mergeId, agentId);
+
         return { triplesUpdated: subjectUpdated.changes + objectUpdated.changes };
     }
 
@@ -8,6 +8,7 @@
  */
 
 const nlp = require('compromise');
+const Gazetteer = require('./gazetteer');
 
 // ── Regex fallback patterns (things compromise misses) ──────────────────────
 
@@ -287,25 +288,16 @@ function extractEntities(text, config) {
 
 /**
  * Gazetteer matching — find known entities from the registry in the text.
- * Takes a list of known entity names and checks if any appear in the text.
+ * Takes the agent's Gazetteer (store.gazetteer) or a plain list of entity
+ * rows, and matches whole words only, by canonical name or alias.
  *
  * Returns array of { name, type } for matches found.
  */
 function matchGazetteer(text, knownEntities) {
-    if (!text || !knownEntities || knownEntities.length === 0) return [];
+    if (!text || !knownEntities) return [];
 
-    const lowered = text.toLowerCase();
-    const matches = [];
-
-    for (const entity of knownEntities) {
-        // Only match entities with 3+ chars to avoid false positives
-        if (entity.canonical_name.length < 3) continue;
-        if (lowered.includes(entity.canonical_name.toLowerCase())) {
-            matches.push({ name: entity.canonical_name, type: entity.entity_type });
-        }
-    }
-
-    return matches;
+    const gazetteer = knownEntities instanceof Gazetteer ? knownEntities : Gazetteer.from(knownEntities);
+    return gazetteer.match(text).map(m => ({ name: m.name, type: m.type }));
 }
 
 /**
@@ -401,7 +393,7 @@ function generateCooccurrences(entities) {
  * @param {Object} params
  * @param {Array} params.messages - Array of message objects ({ role, content })
  * @param {Object} params.config - Extraction config from plugin config
- * @param {Array} params.knownEntities - Known entities from registry (for gazetteer)
+ * @param {Gazetteer|Array} params.knownEntities - Known entities from registry (for gazetteer)
  * @returns {{ entities: Array, triples: Array, cooccurrences: Array }}
  */
 function extractFromExchange({ messages, config, knownEntities }) {
@@ -0,0 +1,180 @@
+/**
+ * Gazetteer — Find known entities in text.
+ *
+ * An Aho-Corasick automaton over every canonical name and alias of an
+ * agent's entity registry, so one pass over the text finds them all no
+ * matter how large the registry grows. Matching is case-insensitive and
+ * whitespace-tolerant, and only whole words count: "Dan" is found in
+ * "Dan's bike" but not in "Danger". Overlapping matches keep the leftmost,
+ * then longest ("Bob Martinez" over "Bob").
+ *
+ * Entities can be added, replaced and removed at any time. Removal only
+ * clears a node's outputs; additions rebuild the failure links lazily on
+ * the next match, which is linear in the total pattern length.
+ */
+
+const DEFAULT_MIN_LENGTH = 3;
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+
+function normalize(text) {
+    return String(text).toLowerCase().replace(/\s+/g, ' ');
+}
+
+function createNode() {
+    return { next: new Map(), fail: null, dict: null, ids: new Set(), units: 0 };
+}
+
+class Gazetteer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.minLength=3] - Shorter names and aliases are not matched
+     */
+    constructor(options) {
+        this.minLength = options?.minLength || DEFAULT_MIN_LENGTH;
+        this._root = createNode();
+        this._entities = new Map(); // id → { name, type, nodes: Set of terminal nodes }
+        this._dirty = false;
+    }
+
+    /**
+     * Build from entity rows ({ id, canonical_name, entity_type, aliases }).
+     */
+    static from(entities, options) {
+        const gazetteer = new Gazetteer(options);
+        for (const entity of entities || []) gazetteer.add(entity);
+        return gazetteer;
+    }
+
+    get size() {
+        return this._entities.size;
+    }
+
+    has(id) {
+        return this._entities.has(id);
+    }
+
+    /**
+     * Add an entity, or replace its names if it is already known.
+     *
+     * @param {{ id?: string, canonical_name: string, entity_type?: string, aliases?: string|string[] }} entity
+     *   aliases may be the JSON column as stored; id defaults to the lowercased name
+     */
+    add(entity) {
+        if (!entity?.canonical_name) return;
+        const id = entity.id || entity.canonical_name.toLowerCase();
+        this.remove(id);
+
+        let aliases = entity.aliases || [];
+        if (typeof aliases === 'string') {
+            try { aliases = JSON.parse(aliases); } catch { aliases = []; }
+        }
+        const record = { name: entity.canonical_name, type: entity.entity_type || 'CONCEPT', nodes: new Set() };
+        for (const surface of [entity.canonical_name, ...(Array.isArray(aliases) ? aliases : [])]) {
+            if (typeof surface !== 'string') continue;
+            const pattern = normalize(surface).trim();
+            if (pattern.length < this.minLength) continue;
+
+            let node = this._root;
+            for (const ch of pattern) {
+                if (!node.next.has(ch)) {
+                    node.next.set(ch, createNode());
+                    this._dirty = true;
+                }
+                node = node.next.get(ch);
+            }
+            node.ids.add(id);
+            record.nodes.add(node);
+        }
+        this._entities.set(id, record);
+        // A new output on an existing node changes which suffixes report matches
+        this._dirty = true;
+    }
+
+    /**
+     * Forget an entity (merged away or deleted).
+     */
+    remove(id) {
+        const record = this._entities.get(id);
+        if (!record) return;
+        for (const node of record.nodes) node.ids.delete(id);
+        this._entities.delete(id);
+    }
+
+    /**
+     * Entities named in a text.
+     *
+     * @param {string} text
+     * @returns {Array<{ id: string, name: string, type: string }>} In order of first appearance
+     */
+    match(text) {
+        if (!text || this._entities.size === 0) return [];
+        if (this._dirty) this._build();
+
+        const lowered = normalize(text);
+        const isWord = (i) => i >= 0 && i < lowered.length && WORD_CHAR.test(lowered[i]);
+        const hits = [];
+
+        let node = this._root;
+        let i = 0;
+        for (const ch of lowered) {
+            while (node !== this._root && !node.next.has(ch)) node = node.fail;
+            node = node.next.get(ch) || this._root;
+            const end = i + ch.length;
+            for (let out = node.ids.size > 0 ? node : node.dict; out; out = out.dict) {
+                if (out.ids.size === 0) continue;
+                const start = end - out.units;
+                if (!isWord(start - 1) && !isWord(end)) hits.push({ start, end, node: out });
+            }
+            i = end;
+        }
+
+        // Leftmost, then longest, without overlaps
+        hits.sort((a, b) => a.start - b.start || b.end - a.end);
+        const results = [];
+        const seen = new Set();
+        let covered = -1;
+        for (const hit of hits) {
+            if (hit.start < covered) continue;
+            covered = hit.end;
+            for (const id of hit.node.ids) {
+                if (seen.has(id)) continue;
+                seen.add(id);
+                const record = this._entities.get(id);
+                results.push({ id, name: record.name, type: record.type });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Breadth-first pass setting failure links, dictionary links (nearest
+     * failure ancestor that ends a pattern) and each node's pattern length
+     * in UTF-16 units, for offsets.
+     */
+    _build() {
+        const root = this._root;
+        root.fail = root;
+        const queue = [];
+        for (const [ch, child] of root.next) {
+            child.fail = root;
+            child.dict = null;
+            child.units = ch.length;
+            queue.push(child);
+        }
+        for (let head = 0; head < queue.length; head++) {
+            const node = queue[head];
+            for (const [ch, child] of node.next) {
+                let fail = node.fail;
+                while (fail !== root && !fail.next.has(ch)) fail = fail.fail;
+                const target = fail.next.get(ch);
+                child.fail = target && target !== child ? target : root;
+                child.dict = child.fail.ids.size > 0 ? child.fail : child.fail.dict;
+                child.units = node.units + ch.length;
+                queue.push(child);
+            }
+        }
+        this._dirty = false;
+    }
+}
+
+module.exports = Gazetteer;
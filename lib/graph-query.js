@@ -0,0 +1,472 @@
+/**
+ * Graph Query — Declarative pattern queries over the triple store.
+ *
+ * A small basic-graph-pattern language in the spirit of SPARQL/Cypher:
+ *
+ *   MATCH ?p works_on ?proj, ?proj part_of ?org AS ?e
+ *   OPTIONAL ?p lives_in ?city
+ *   WHERE ?p.type = PERSON AND confidence >= 0.7 AND ?e.date >= 2026-01-01
+ *   RETURN ?p, ?org, ?city
+ *   LIMIT 20
+ *
+ * Each pattern is "subject predicate object", where any term may be a
+ * ?variable. A variable used twice joins the patterns. OPTIONAL patterns
+ * are matched independently (LEFT JOIN) and leave their new variables null
+ * when absent. `AS ?e` names the triple itself for edge filters.
+ *
+ * Filters compare a field with a value (=, !=, <, <=, >, >=):
+ *   ?x             the bound value (entity ID, literal or predicate)
+ *   ?x.name/type/mentions/firstSeen/lastSeen        entity fields
+ *   ?e.confidence/date/validFrom/validTo/kind/value/unit/predicate
+ *                  triple fields of a named pattern
+ *   confidence, date, …  unqualified triple fields apply to every pattern
+ *
+ * The same query may be given as an object ({ match, optional, where,
+ * return, limit }) instead of text. Either way it is compiled to one
+ * parameterized SELECT: every name that reaches the SQL comes from a fixed
+ * whitelist and every value is bound, so a query cannot touch anything
+ * but this agent's triples and entities.
+ */
+
+const literals = require('./literals');
+const PredicateRegistry = require('./predicate-registry');
+
+const KEYWORDS = new Set(['MATCH', 'OPTIONAL', 'WHERE', 'AND', 'RETURN', 'LIMIT', 'AS']);
+const OPERATORS = new Set(['=', '!=', '<', '<=', '>', '>=']);
+
+// Filterable fields → SQL expression on a triples alias
+const TRIPLE_FIELDS = {
+    confidence: t => `${t}.confidence`,
+    date: t => `${t}.source_date`,
+    validFrom: t => `${t}.valid_from`,
+    validTo: t => `${t}.valid_to`,
+    kind: t => `COALESCE(${t}.object_kind, 'entity')`,
+    value: t => `${t}.object_number`,
+    unit: t => `${t}.unit`,
+    predicate: t => `${t}.predicate`
+};
+
+// Filterable fields → SQL expression on an entities alias
+const ENTITY_FIELDS = {
+    name: e => `${e}.canonical_name`,
+    type: e => `${e}.entity_type`,
+    mentions: e => `${e}.mention_count`,
+    firstSeen: e => `${e}.first_seen`,
+    lastSeen: e => `${e}.last_seen`
+};
+
+const VAR_RE = /^\?[A-Za-z_]\w*$/;
+const TOKEN_RE = /\s*(?:('[^']*'|"[^"]*")|(\?[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)?)|(<=|>=|!=|<>|=|<|>)|(,)|([^\s,'"=<>!]+))/y;
+
+/**
+ * Split query text into tokens.
+ * @returns {Array<{ type: 'string'|'var'|'op'|'comma'|'word', value: string, pos: number }>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    TOKEN_RE.lastIndex = 0;
+    const src = String(text);
+    while (TOKEN_RE.lastIndex < src.length) {
+        const pos = TOKEN_RE.lastIndex;
+        const m = TOKEN_RE.exec(src);
+        if (!m) {
+            if (/^\s*$/.test(src.slice(pos))) break;
+            throw new Error(`Unexpected character at ${pos}: "${src.slice(pos, pos + 10)}"`);
+        }
+        if (m[1] !== undefined) tokens.push({ type: 'string', value: m[1].slice(1, -1), pos });
+        else if (m[2] !== undefined) tokens.push({ type: 'var', value: m[2], pos });
+        else if (m[3] !== undefined) tokens.push({ type: 'op', value: m[3] === '<>' ? '!=' : m[3], pos });
+        else if (m[4] !== undefined) tokens.push({ type: 'comma', value: ',', pos });
+        else tokens.push({ type: 'word', value: m[5], pos });
+    }
+    return tokens;
+}
+
+/**
+ * Parse query text into the object form.
+ *
+ * @param {string} text
+ * @returns {{ match: Array, optional: Array, where: Array, return: string[]|null, limit: number|null }}
+ */
+function parse(text) {
+    const tokens = tokenize(text);
+    let i = 0;
+    const peek = () => tokens[i];
+    const isKeyword = (tok, kw) => tok && tok.type === 'word' && tok.value.toUpperCase() === kw;
+    const fail = (msg) => {
+        const tok = peek();
+        throw new Error(tok ? `${msg} at ${tok.pos} ("${tok.value}")` : `${msg} at end of query`);
+    };
+    const term = () => {
+        const tok = peek();
+        if (!tok || tok.type === 'op' || tok.type === 'comma' ||
+            (tok.type === 'word' && KEYWORDS.has(tok.value.toUpperCase()))) {
+            fail('Expected a term');
+        }
+        if (tok.type === 'var' && tok.value.includes('.')) fail('Field reference in a pattern');
+        i++;
+        return tok.value;
+    };
+    const patternList = () => {
+        const patterns = [];
+        do {
+            if (patterns.length > 0) i++; // comma
+            const pattern = { subject: term(), predicate: term(), object: term() };
+            if (isKeyword(peek(), 'AS')) {
+                i++;
+                const tok = peek();
+                if (!tok || tok.type !== 'var' || !VAR_RE.test(tok.value)) fail('Expected a ?variable after AS');
+                pattern.as = tok.value;
+                i++;
+            }
+            patterns.push(pattern);
+        } while (peek() && peek().type === 'comma');
+        return patterns;
+    };
+
+    const query = { match: [], optional: [], where: [], return: null, limit: null };
+    while (i < tokens.length) {
+        const tok = peek();
+        const kw = tok.type === 'word' ? tok.value.toUpperCase() : null;
+        if (kw === 'MATCH') {
+            i++;
+            query.match.push(...patternList());
+        } else if (kw === 'OPTIONAL') {
+            i++;
+            query.optional.push(...patternList());
+        } else if (kw === 'WHERE') {
+            i++;
+            do {
+                if (isKeyword(peek(), 'AND')) i++;
+                const ref = peek();
+                if (!ref || (ref.type !== 'var' && ref.type !== 'word')) fail('Expected a field');
+                i++;
+                const op = peek();
+                if (!op || op.type !== 'op') fail('Expected a comparison operator');
+                i++;
+                const val = peek();
+                if (!val || (val.type !== 'word' && val.type !== 'string')) fail('Expected a value');
+                i++;
+                const value = val.type === 'word' && /^[-+]?\d+(\.\d+)?$/.test(val.value)
+                    ? parseFloat(val.value) : val.value;
+                query.where.push({ ref: ref.value, op: op.value, value });
+            } while (isKeyword(peek(), 'AND'));
+        } else if (kw === 'RETURN') {
+            i++;
+            query.return = [];
+            do {
+                if (peek() && peek().type === 'comma') i++;
+                const v = peek();
+                if (!v || v.type !== 'var' || !VAR_RE.test(v.value)) fail('Expected a ?variable');
+                query.return.push(v.value);
+                i++;
+            } while (peek() && (peek().type === 'comma' || peek().type === 'var'));
+        } else if (kw === 'LIMIT') {
+            i++;
+            const n = peek();
+            if (!n || !/^\d+$/.test(n.value)) fail('Expected a number');
+            query.limit = parseInt(n.value, 10);
+            if (query.limit < 1) fail('LIMIT must be at least 1');
+            i++;
+        } else {
+            fail('Expected MATCH, OPTIONAL, WHERE, RETURN or LIMIT');
+        }
+    }
+    return query;
+}
+
+class GraphQuery {
+    /**
+     * @param {GraphStore} store
+     * @param {Object} [config] - query config section
+     */
+    constructor(store, config) {
+        this.store = store;
+        this.config = config || {};
+        this.defaultLimit = this.config.defaultLimit || 100;
+        this.maxLimit = this.config.maxLimit || 1000;
+        this.maxPatterns = this.config.maxPatterns || 8;
+    }
+
+    /**
+     * Compile a query (text or object form) to SQL.
+     *
+     * @param {string|Object} query
+     * @param {string} agentId
+     * @param {Object} [options] - { asOf: match triples valid on this date instead of current ones }
+     * @returns {{ sql: string, params: Array, vars: string[], entityVars: string[], limit: number }}
+     */
+    compile(query, agentId, options) {
+        const q = this._validate(typeof query === 'string' ? parse(query) : query);
+        const aid = agentId || 'main';
+        const asOf = options?.asOf || null;
+
+        const required = q.match || [];
+        const optional = q.optional || [];
+        if (required.length === 0) throw new Error('Query needs at least one MATCH pattern');
+        if (required.length + optional.length > this.maxPatterns) {
+            throw new Error(`Query has more than ${this.maxPatterns} patterns`);
+        }
+
+        const bindings = new Map();   // ?var → { expr, kind: 'entity'|'predicate'|'edge', optional }
+        const order = [];             // variables in order of first appearance
+        const from = [];
+        const where = [];
+        const fromParams = [];        // in FROM order: optional patterns, then entity joins
+        const whereParams = [];       // required patterns, then variable filters
+
+        const temporal = (t) => asOf
+            ? { sql: `${t}.valid_from <= ? AND (${t}.valid_to IS NULL OR ${t}.valid_to > ?)`, params: [asOf, asOf] }
+            : { sql: `${t}.valid_to IS NULL`, params: [] };
+
+        // Unqualified triple filters apply to every pattern
+        const globalFilters = (q.where || []).filter(f => !f.ref.startsWith('?'));
+        for (const f of globalFilters) {
+            if (!TRIPLE_FIELDS[f.ref]) throw new Error(`Unknown field "${f.ref}"`);
+        }
+
+        const patterns = [
+            ...required.map(p => ({ ...p, optional: false })),
+            ...optional.map(p => ({ ...p, optional: true }))
+        ];
+        patterns.forEach((pattern, idx) => {
+            const t = `t${idx}`;
+            const conds = [`${t}.agent_id = ?`];
+            const condParams = [aid];
+            const tc = temporal(t);
+            conds.push(tc.sql);
+            condParams.push(...tc.params);
+
+            // Inverse predicate names match the canonical triple, flipped
+            let { subject, predicate, object } = pattern;
+            if (!VAR_RE.test(predicate)) {
+                predicate = PredicateRegistry.normalizeName(predicate);
+                const canonical = this.store.predicates.canonicalize({ subject, predicate, object }, aid);
+                ({ subject, predicate, object } = canonical);
+            }
+
+            const bindTerm = (termValue, column, kind) => {
+                const expr = `${t}.${column}`;
+                if (VAR_RE.test(termValue)) {
+                    const bound = bindings.get(termValue);
+                    if (!bound) {
+                        bindings.set(termValue, { expr, kind, optional: pattern.optional });
+                        order.push(termValue);
+                    } else {
+                        if (bound.kind === 'edge' || (bound.kind === 'predicate') !== (kind === 'predicate')) {
+                            throw new Error(`Variable ${termValue} is used as both a ${bound.kind} and a ${kind}`);
+                        }
+                        conds.push(`${expr} = ${bound.expr}`);
+                    }
+                } else if (column === 'subject') {
+                    conds.push(`${expr} = ?`);
+                    condParams.push(this.store.normalizeEntityId(termValue));
+                } else if (column === 'object') {
+                    conds.push(`${expr} IN (?, ?)`);
+                    condParams.push(...this._objectKeys(termValue));
+                } else {
+                    conds.push(`${expr} = ?`);
+                    condParams.push(termValue);
+                }
+            };
+            bindTerm(subject, 'subject', 'entity');
+            bindTerm(predicate, 'predicate', 'predicate');
+            bindTerm(object, 'object', 'entity');
+
+            if (pattern.as) {
+                if (bindings.has(pattern.as)) throw new Error(`Variable ${pattern.as} is already bound`);
+                bindings.set(pattern.as, { expr: `${t}.id`, kind: 'edge', alias: t, optional: pattern.optional });
+                order.push(pattern.as);
+            }
+
+            for (const f of globalFilters) {
+                conds.push(`${TRIPLE_FIELDS[f.ref](t)} ${f.op} ?`);
+                condParams.push(f.value);
+            }
+
+            if (pattern.optional) {
+                from.push(`LEFT JOIN triples ${t} ON ${conds.join(' AND ')}`);
+                fromParams.push(...condParams);
+            } else {
+                from.push(idx === 0 ? `triples ${t}` : `CROSS JOIN triples ${t}`);
+                where.push(...conds);
+                whereParams.push(...condParams);
+            }
+        });
+
+        // Variable filters, with entity joins for entity fields
+        const entityJoins = new Map(); // ?var → alias
+        for (const f of (q.where || []).filter(f => f.ref.startsWith('?'))) {
+            const [name, field] = f.ref.split('.');
+            const bound = bindings.get(name);
+            if (!bound) throw new Error(`Variable ${name} is not bound by any pattern`);
+
+            let expr;
+            if (!field) {
+                if (bound.kind === 'edge') throw new Error(`Compare a field of ${name}, e.g. ${name}.confidence`);
+                expr = bound.expr;
+            } else if (bound.kind === 'edge') {
+                if (!TRIPLE_FIELDS[field]) throw new Error(`Unknown triple field "${field}"`);
+                expr = TRIPLE_FIELDS[field](bound.alias);
+            } else if (bound.kind === 'entity') {
+                if (!ENTITY_FIELDS[field]) throw new Error(`Unknown entity field "${field}"`);
+                if (!entityJoins.has(name)) {
+                    const e = `e${entityJoins.size}`;
+                    entityJoins.set(name, e);
+                    from.push(`LEFT JOIN entities ${e} ON ${e}.id = ${bound.expr} AND ${e}.agent_id = ?`);
+                    fromParams.push(aid);
+                }
+                expr = ENTITY_FIELDS[field](entityJoins.get(name));
+            } else {
+                throw new Error(`Predicate variable ${name} has no fields`);
+            }
+
+            if (!field && bound.kind === 'entity' && (f.op === '=' || f.op === '!=')) {
+                // Entities are stored normalized, literals verbatim
+                where.push(`${expr} ${f.op === '=' ? 'IN' : 'NOT IN'} (?, ?)`);
+                whereParams.push(...this._objectKeys(f.value));
+            } else {
+                where.push(`${expr} ${f.op} ?`);
+                whereParams.push(field === 'type' ? String(f.value).toUpperCase() : f.value);
+            }
+        }
+
+        const vars = q.return || order;
+        for (const v of vars) {
+            if (!bindings.has(v)) throw new Error(`Variable ${v} is not bound by any pattern`);
+        }
+
+        const limit = Math.min(q.limit ?? this.defaultLimit, this.maxLimit);
+        const columns = vars.map((v, i) => `${bindings.get(v).expr} AS c${i}`);
+        const sql = `SELECT DISTINCT ${columns.join(', ')} FROM ${from.join(' ')}` +
+            (where.length > 0 ? ` WHERE ${where.join(' AND ')}` : '') +
+            ` LIMIT ?`;
+
+        return {
+            sql,
+            params: [...fromParams, ...whereParams, limit + 1],
+            vars,
+            entityVars: vars.filter(v => bindings.get(v).kind === 'entity'),
+            limit
+        };
+    }
+
+    /**
+     * Run a query.
+     *
+     * @param {string|Object} query - Text or object form
+     * @param {string} agentId
+     * @param {Object} [options] - { asOf }
+     * @returns {{ vars: string[], rows: Object[], entities: Object, truncated: boolean }}
+     *   rows map variable names (without "?") to values; entities maps the
+     *   entity IDs in the result to { name, type }
+     */
+    run(query, agentId, options) {
+        const compiled = this.compile(query, agentId, options);
+        const raw = this.store.db.prepare(compiled.sql).all(...compiled.params);
+        const truncated = raw.length > compiled.limit;
+
+        const names = compiled.vars.map(v => v.slice(1));
+        const rows = raw.slice(0, compiled.limit).map(r => {
+            const row = {};
+            names.forEach((name, i) => { row[name] = r[`c${i}`] ?? null; });
+            return row;
+        });
+
+        const ids = new Set();
+        for (const v of compiled.entityVars) {
+            const name = v.slice(1);
+            for (const row of rows) if (row[name] !== null) ids.add(row[name]);
+        }
+
+        return {
+            vars: names,
+            rows,
+            entities: this._describeEntities([...ids], agentId || 'main'),
+            truncated
+        };
+    }
+
+    /**
+     * Check and normalize the object form.
+     */
+    _validate(query) {
+        if (!query || typeof query !== 'object') throw new Error('Query must be text or an object');
+        const patternList = (list, key) => {
+            if (list === undefined || list === null) return [];
+            if (!Array.isArray(list)) throw new Error(`"${key}" must be an array of patterns`);
+            return list.map(p => {
+                const pattern = Array.isArray(p)
+                    ? { subject: p[0], predicate: p[1], object: p[2], as: p[3] }
+                    : { subject: p?.subject, predicate: p?.predicate, object: p?.object, as: p?.as };
+                for (const key of ['subject', 'predicate', 'object']) {
+                    if (typeof pattern[key] !== 'string' || !pattern[key].trim()) {
+                        throw new Error(`Pattern is missing its ${key}`);
+                    }
+                    pattern[key] = pattern[key].trim();
+                    if (pattern[key].startsWith('?') && !VAR_RE.test(pattern[key])) {
+                        throw new Error(`Invalid variable "${pattern[key]}"`);
+                    }
+                }
+                if (pattern.as === undefined || pattern.as === null) delete pattern.as;
+                else if (!VAR_RE.test(pattern.as)) throw new Error(`Invalid variable "${pattern.as}"`);
+                return pattern;
+            });
+        };
+
+        const where = (query.where || []).map(f => {
+            if (!f || typeof f.ref !== 'string') throw new Error('Filter is missing its ref');
+            if (!/^(\?[A-Za-z_]\w*(\.[A-Za-z_]\w*)?|[A-Za-z_]\w*)$/.test(f.ref)) {
+                throw new Error(`Invalid filter ref "${f.ref}"`);
+            }
+            const op = f.op === '<>' ? '!=' : f.op;
+            if (!OPERATORS.has(op)) throw new Error(`Unknown operator "${f.op}"`);
+            if (typeof f.value !== 'string' && typeof f.value !== 'number') {
+                throw new Error(`Filter on ${f.ref} needs a string or number value`);
+            }
+            return { ref: f.ref, op, value: f.value };
+        });
+
+        if (query.limit != null && (!Number.isInteger(query.limit) || query.limit < 1)) {
+            throw new Error('"limit" must be a positive integer');
+        }
+
+        const ret = query.return ?? null;
+        if (ret !== null && (!Array.isArray(ret) || ret.some(v => !VAR_RE.test(v)))) {
+            throw new Error('"return" must be an array of ?variables');
+        }
+
+        return {
+            match: patternList(query.match, 'match'),
+            optional: patternList(query.optional, 'optional'),
+            where,
+            return: ret,
+            limit: query.limit ?? null
+        };
+    }
+
+    /**
+     * Stored forms a constant object may take: entity ID and literal key.
+     */
+    _objectKeys(value) {
+        const text = String(value).trim();
+        const literal = literals.parseLiteral(text);
+        return [this.store.normalizeEntityId(text), literal ? literals.literalKey(literal) : text];
+    }
+
+    _describeEntities(ids, agentId) {
+        const entities = {};
+        for (let i = 0; i < ids.length; i += 500) {
+            const chunk = ids.slice(i, i + 500);
+            const rows = this.store.db.prepare(`
+                SELECT id, canonical_name, entity_type FROM entities
+                WHERE agent_id = ? AND id IN (${chunk.map(() => '?').join(', ')})
+            `).all(agentId, ...chunk);
+            for (const r of rows) entities[r.id] = { name: r.canonical_name, type: r.entity_type };
+        }
+        return entities;
+    }
+}
+
+module.exports = GraphQuery;
+module.exports.parse = parse;
@@ -7,9 +7,26 @@
  *
  * Phase 1: Single-hop link expansion.
  * Phase 5: Multi-hop recursive CTE traversal + meta-path pattern queries.
+ *
+ * retrieval.strategy picks the multi-hop engine:
+ *   traversal  recursive CTE with a fixed hopDecay (single-hop when maxHops <= 1)
+ *   ppr        personalized PageRank (random walk with restart) from the
+ *              query entities, bounded by a time budget
+ *
+ * Either way, communityBoost adds a soft expansion to the query entities'
+ * topic communities, in the spirit of cooccurrenceBoost.
+ *
+ * Search filters (date range, predicates, entity types, minimum confidence)
+ * apply the same way in every engine: excluded predicates are not walked,
+ * only evidence dated inside the range earns an exchange credit, and the
+ * entity a credited fact reaches must have one of the requested types.
  */
 
 const extractor = require('./extractor');
+const Communities = require('./communities');
+const cursors = require('./cursor');
+
+const STRATEGIES = ['traversal', 'ppr'];
 
 class GraphSearcher {
     /**
@@ -27,6 +44,23 @@ class GraphSearcher {
         this.hopDecay = this.config.hopDecay || 0.7;
         this.minTraversalConfidence = this.config.minTraversalConfidence || 0.6;
         this.metaPathWeight = this.config.metaPathWeight || 0.8;
+        this.pathSearchBudget = this.config.pathSearchBudget || 20000;
+        this.importanceWeight = this.config.importanceWeight ?? 0.2;
+        this.hubPenaltyDegree = this.config.hubPenaltyDegree ?? 50;
+
+        this.strategy = this.config.strategy || 'traversal';
+        if (!STRATEGIES.includes(this.strategy)) {
+            throw new Error(`Unknown retrieval strategy "${this.strategy}" (expected ${STRATEGIES.join(', ')})`);
+        }
+        const ppr = this.config.ppr || {};
+        this.restartProbability = ppr.restartProbability ?? 0.15;
+        this.pprEpsilon = ppr.epsilon ?? 1e-4;
+        this.pprTimeBudgetMs = ppr.timeBudgetMs || 50;
+        this.pprMaxTriples = ppr.maxTriples || 500;
+
+        this.communities = new Communities(store);
+        this.communityBoost = this.config.communityBoost ?? 0.05;
+        this.communityExpansion = this.config.communityExpansion || 5;
     }
 
     /**
@@ -38,13 +72,21 @@ class GraphSearcher {
      * @param {string} agentId - Agent ID
      * @param {Object} options
      * @param {number} options.limit - Max results
-     * @param {Array} options.knownEntities - Known entities for gazetteer
-     * @returns {{ exchanges: Array, entities: Array }}
+     * @param {Gazetteer|Array} options.knownEntities - Known entities for gazetteer
+     * @param {boolean} [options.explain] - Attach a scoring breakdown to each result
+     * @param {string} [options.cursor] - nextCursor of the previous page
+     * @param {Object} [options.filters] - { from, to (YYYY-MM-DD or YYYY-MM, inclusive,
+     *   on evidence source_date), predicates, excludePredicates, entityTypes,
+     *   minConfidence, maxHops, strategy }
+     * @returns {{ exchanges: Array, entities: Array, nextCursor: string|null }}
+     *   Results are ordered by score, then exchange ID. Multi-hop results carry the query entities that reached them, the
+     *   traversal paths and meta-path patterns, hop depth and newest source date.
      */
     search(query, agentId, options) {
         const opts = options || {};
         const aid = agentId || 'main';
         const limit = opts.limit || this.maxResults;
+        const filters = this._normalizeFilters(opts.filters, aid);
 
         // 1. Extract entities from the query
         const queryEntities = extractor.extractEntities(query, { minExchangeLength: 3 });
@@ -60,135 +102,234 @@ class GraphSearcher {
         }
 
         if (queryEntities.length === 0) {
-            return { exchanges: [], entities: [] };
+            return { exchanges: [], entities: [], nextCursor: null };
         }
 
-        // 2. Choose search strategy based on maxHops
-        if (this.maxHops <= 1) {
-            return this._singleHopSearch(queryEntities, aid, limit);
+        // 2. Choose search strategy based on retrieval.strategy and maxHops (or their filter overrides)
+        const strategy = filters.strategy || this.strategy;
+        const maxHops = filters.maxHops || this.maxHops;
+        if (strategy === 'traversal' && maxHops <= 1) {
+            return this._singleHopSearch(queryEntities, aid, limit, opts.explain, filters, opts.cursor);
         }
 
-        // Multi-hop: CTE traversal + meta-path patterns
+        // Multi-hop: CTE traversal or personalized PageRank, plus meta-path patterns
         const entityIds = queryEntities.map(e => this.store.normalizeEntityId(e.name));
 
-        const hopResults = this.searchMultiHop(entityIds, aid, this.maxHops, this.hopDecay);
+        const hopResults = strategy === 'ppr'
+            ? this.searchPersonalizedPageRank(entityIds, aid, filters)
+            : this.searchMultiHop(entityIds, aid, maxHops, this.hopDecay, filters);
         const patterns = this.store.getActivePatterns(aid);
-        const metaResults = this.searchMetaPaths(entityIds, aid, patterns);
+        const metaResults = this.searchMetaPaths(entityIds, aid, patterns, filters);
+        const communityResults = this.expandCommunities(entityIds, aid, filters);
 
-        // Merge: max(hopScore, metaScore) per exchange
-        const merged = new Map();
-        for (const [exId, score] of hopResults) {
-            merged.set(exId, score);
-        }
-        for (const [exId, score] of metaResults) {
-            const existing = merged.get(exId) || 0;
-            merged.set(exId, Math.max(existing, score));
-        }
-
-        // Format into standard output
+        // Merge: max(hopScore, metaScore, communityScore) per exchange. PPR mass,
+        // CTE path scores and meta-path weights live on different scales, so
+        // hop and meta scores are first divided by their engine's best for
+        // this query. Community scores are a small absolute nudge
+        // (communityBoost) and are left as they are.
+        const hopScale = this._maxScore(hopResults);
+        const metaScale = this._maxScore(metaResults);
+        const exchangeIds = new Set([...hopResults.keys(), ...metaResults.keys(), ...communityResults.keys()]);
         const results = [];
-        for (const [exId, score] of merged) {
+        for (const exId of exchangeIds) {
+            const hop = hopResults.get(exId);
+            const meta = metaResults.get(exId);
+            const community = communityResults.get(exId);
+            const found = [hop, meta, community].filter(Boolean);
+            const hopScore = hop ? hop.score / hopScale : 0;
+            const metaScore = meta ? meta.score / metaScale : 0;
+            const communityScore = community ? community.score : 0;
+            const seeds = new Set(found.flatMap(f => f.seeds));
+            const dates = found.map(f => f.date).filter(Boolean).sort();
+            const depth = Math.min(...found.map(f => f.depth ?? Infinity));
             results.push({
                 id: exId,
-                score,
-                sharedEntityCount: entityIds.length,
-                sharedEntities: entityIds,
-                maxConfidence: score,
-                date: null
+                score: Math.max(hopScore, metaScore, communityScore),
+                sharedEntityCount: seeds.size,
+                sharedEntities: [...seeds],
+                maxConfidence: Math.max(...found.map(f => f.maxConfidence)),
+                date: dates.length > 0 ? dates[dates.length - 1] : null,
+                depth: Number.isFinite(depth) ? depth : null,
+                paths: hop ? hop.paths : [],
+                patterns: meta ? meta.patterns : [],
+                communityEntities: community ? community.members : []
             });
+            if (opts.explain) {
+                results[results.length - 1].explanation = {
+                    strategy: strategy === 'ppr' ? 'ppr' : 'multi_hop',
+                    fusion: 'max_normalized',
+                    hopScore,
+                    metaScore,
+                    communityScore,
+                    hopScale,
+                    metaScale,
+                    hopDecay: this.hopDecay,
+                    pathCount: hop ? hop.paths.length : 0,
+                    patternCount: meta ? meta.patterns.length : 0
+                };
+            }
         }
 
-        results.sort((a, b) => b.score - a.score);
+        const { items: top, nextCursor } = this._page(results, limit, opts.cursor);
+        this._describeResultPaths(top, aid, opts.explain);
 
         return {
-            exchanges: results.slice(0, limit),
-            entities: queryEntities
+            exchanges: top,
+            entities: queryEntities,
+            nextCursor
         };
     }
 
+    /**
+     * Best score in an engine's results, to normalize them by (1 when empty).
+     */
+    _maxScore(results) {
+        let max = 0;
+        for (const entry of results.values()) max = Math.max(max, entry.score);
+        return max > 0 ? max : 1;
+    }
+
+    /**
+     * Sort results by score (ties by exchange ID) and cut the page after
+     * `cursor`. Scores are recomputed on every request, so the cursor
+     * compares them with a small tolerance.
+     *
+     * @returns {{ items: Array, nextCursor: string|null }}
+     */
+    _page(results, limit, cursor) {
+        results.sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        const after = cursors.decode(cursor, 'search');
+        const rest = after
+            ? results.filter(r => r.score < after[0] - 1e-9 ||
+                (Math.abs(r.score - after[0]) <= 1e-9 && r.id > after[1]))
+            : results;
+        return cursors.page(rest, limit, 'search', r => [r.score, r.id]);
+    }
+
     /**
      * Original single-hop link expansion (Phase 1).
      * Kept as fallback when maxHops <= 1.
      */
-    _singleHopSearch(queryEntities, agentId, limit) {
+    _singleHopSearch(queryEntities, agentId, limit, explain, filters, cursor) {
+        const f = filters || this._normalizeFilters(null, agentId);
         const exchangeScores = new Map();
 
         for (const entity of queryEntities) {
-            const triples = this.store.getTriplesFor(entity.name, agentId, 100);
+            const triples = f.active
+                ? this._getTriplesByNormalizedId(this.store.normalizeEntityId(entity.name), agentId, 100, f)
+                : this.store.getTriplesFor(entity.name, agentId, 100);
 
-            for (const triple of triples) {
-                if (!triple.source_exchange_id) continue;
-
-                const exchangeId = triple.source_exchange_id;
+            // Every exchange that stated a fact gets credit for it
+            for (const { triple, exchangeId, date } of this._tripleEvidence(triples, f)) {
                 if (!exchangeScores.has(exchangeId)) {
                     exchangeScores.set(exchangeId, {
                         id: exchangeId,
                         score: 0,
                         sharedEntities: new Set(),
                         maxConfidence: 0,
-                        newestDate: null
+                        newestDate: null,
+                        facts: [],
+                        cooccurrenceScore: 0
                     });
                 }
 
                 const entry = exchangeScores.get(exchangeId);
                 entry.sharedEntities.add(entity.name.toLowerCase());
                 entry.score += triple.confidence || 1.0;
+                entry.facts.push({
+                    id: triple.id,
+                    summary: `${triple.subject} ${triple.predicate} ${triple.object}`,
+                    confidence: triple.confidence
+                });
                 entry.maxConfidence = Math.max(entry.maxConfidence, triple.confidence || 1.0);
-                if (!entry.newestDate || triple.source_date > entry.newestDate) {
-                    entry.newestDate = triple.source_date;
+                if (!entry.newestDate || date > entry.newestDate) {
+                    entry.newestDate = date;
                 }
             }
 
             // Co-occurrence expansion
-            const cooccurrences = this.store.getCooccurrences(entity.name, 5);
+            const cooccurrences = this.store.getCooccurrences(entity.name, agentId, 5);
 
             for (const cooc of cooccurrences) {
                 const normalizedName = this.store.normalizeEntityId(entity.name);
                 const coocEntityId = cooc.entity_a === normalizedName ? cooc.entity_b : cooc.entity_a;
-                const coocTriples = this._getTriplesByNormalizedId(coocEntityId, agentId, 20);
-
-                for (const triple of coocTriples) {
-                    if (!triple.source_exchange_id) continue;
+                const coocTriples = this._getTriplesByNormalizedId(coocEntityId, agentId, 20, f);
 
-                    const exchangeId = triple.source_exchange_id;
+                for (const { exchangeId, date } of this._tripleEvidence(coocTriples, f)) {
                     if (!exchangeScores.has(exchangeId)) {
                         exchangeScores.set(exchangeId, {
                             id: exchangeId,
                             score: 0,
                             sharedEntities: new Set(),
                             maxConfidence: 0,
-                            newestDate: null
+                            newestDate: null,
+                            facts: [],
+                            cooccurrenceScore: 0
                         });
                     }
 
                     const entry = exchangeScores.get(exchangeId);
                     entry.score += this.cooccurrenceBoost * (cooc.count || 1);
-                    if (!entry.newestDate || triple.source_date > entry.newestDate) {
-                        entry.newestDate = triple.source_date;
+                    entry.cooccurrenceScore += this.cooccurrenceBoost * (cooc.count || 1);
+                    if (!entry.newestDate || date > entry.newestDate) {
+                        entry.newestDate = date;
                     }
                 }
             }
         }
 
+        // Community expansion: facts about the query entities' topic neighbours
+        const seedIds = queryEntities.map(e => this.store.normalizeEntityId(e.name));
+        for (const [exchangeId, found] of this.expandCommunities(seedIds, agentId, f)) {
+            if (!exchangeScores.has(exchangeId)) {
+                exchangeScores.set(exchangeId, {
+                    id: exchangeId,
+                    score: 0,
+                    sharedEntities: new Set(),
+                    maxConfidence: 0,
+                    newestDate: null,
+                    facts: [],
+                    cooccurrenceScore: 0
+                });
+            }
+            const entry = exchangeScores.get(exchangeId);
+            entry.score += found.score;
+            entry.communityScore = (entry.communityScore || 0) + found.score;
+            if (found.date && (!entry.newestDate || found.date > entry.newestDate)) {
+                entry.newestDate = found.date;
+            }
+        }
+
         const results = [];
         for (const [, entry] of exchangeScores) {
             if (entry.sharedEntities.size >= this.minSharedEntities) {
-                results.push({
+                const result = {
                     id: entry.id,
                     score: entry.score,
                     sharedEntityCount: entry.sharedEntities.size,
                     sharedEntities: Array.from(entry.sharedEntities),
                     maxConfidence: entry.maxConfidence,
                     date: entry.newestDate
-                });
+                };
+                if (explain) {
+                    result.explanation = {
+                        strategy: 'single_hop',
+                        factScore: entry.score - entry.cooccurrenceScore - (entry.communityScore || 0),
+                        cooccurrenceScore: entry.cooccurrenceScore,
+                        communityScore: entry.communityScore || 0,
+                        facts: entry.facts
+                    };
+                }
+                results.push(result);
             }
         }
 
-        results.sort((a, b) => b.score - a.score);
+        const { items, nextCursor } = this._page(results, limit, cursor);
 
         return {
-            exchanges: results.slice(0, limit),
-            entities: queryEntities
+            exchanges: items,
+            entities: queryEntities,
+            nextCursor
         };
     }
 
@@ -200,174 +341,598 @@ class GraphSearcher {
      * @param {string} agentId
      * @param {number} maxHops
      * @param {number} decay - Score decay per hop (default 0.7)
-     * @returns {Map<string, number>} exchangeId → score
+     * @param {Object} [filters] - Normalized search filters
+     * @returns {Map<string, Object>} exchangeId → { score, seeds, depth, date,
+     *   maxConfidence, paths: [{ seed, tripleIds, depth, score }] } — the
+     *   score sums every path that reached a triple the exchange stated
+     *
+     * Walking on through a hub costs extra (hubPenaltyDegree), and each path
+     * is weighted by the importance of the entity it reached.
      */
-    searchMultiHop(entityIds, agentId, maxHops, decay) {
+    searchMultiHop(entityIds, agentId, maxHops, decay, filters) {
         if (entityIds.length === 0) return new Map();
 
+        const f = filters || this._normalizeFilters(null, agentId);
         const placeholders = entityIds.map(() => '?').join(', ');
         const d = decay || this.hopDecay;
-        const minConf = this.minTraversalConfidence;
+        const minConf = f.minConfidence ?? this.minTraversalConfidence;
+        const walk = this._predicateFilterSql('t', f);
+        const reached = this._entityTypeFilterSql('h.entity', f, agentId);
+        const dated = this._dateFilterSql('ts.source_date', f);
+        // Score halves when continuing through an entity with hubPenaltyDegree neighbours
+        const hubPenalty = this.hubPenaltyDegree > 0
+            ? `/ (1.0 + COALESCE((SELECT e.degree FROM entities e WHERE e.id = h.entity AND e.agent_id = ?), 0) / ?)`
+            : '';
 
         // Build the recursive CTE dynamically (variable seed count)
         const sql = `
-            WITH RECURSIVE hop(entity, depth, path, source_exchange_id, score) AS (
+            WITH RECURSIVE hop(seed, entity, depth, path, edges, triple_id, confidence, score) AS (
                 -- Seed: triples touching any query entity
                 SELECT
+                    CASE WHEN t.subject IN (${placeholders}) THEN t.subject ELSE t.object END,
                     CASE WHEN t.subject IN (${placeholders}) THEN t.object ELSE t.subject END,
                     1,
                     '/' || t.subject || '/' || t.predicate || '/' || t.object || '/',
-                    t.source_exchange_id,
+                    '/' || t.id || '/',
+                    t.id,
+                    t.confidence,
                     t.confidence * ?
                 FROM triples t
                 WHERE (t.subject IN (${placeholders}) OR t.object IN (${placeholders}))
                     AND t.agent_id = ?
+                    AND t.valid_to IS NULL
                     AND t.confidence >= ?
+                    ${walk.sql}
 
                 UNION ALL
 
                 -- Recurse: follow outgoing edges with decay
                 SELECT
+                    h.seed,
                     CASE WHEN t.subject = h.entity THEN t.object ELSE t.subject END,
                     h.depth + 1,
                     h.path || t.predicate || '/' ||
                         CASE WHEN t.subject = h.entity THEN t.object ELSE t.subject END || '/',
-                    t.source_exchange_id,
-                    h.score * ?
+                    h.edges || t.id || '/',
+                    t.id,
+                    t.confidence,
+                    h.score * ? ${hubPenalty}
                 FROM triples t
                 JOIN hop h ON (t.subject = h.entity OR t.object = h.entity)
                 WHERE h.depth < ?
                     AND t.agent_id = ?
+                    AND t.valid_to IS NULL
                     AND t.confidence >= ?
                     -- Entity quality gate: intermediate must be registered
                     AND EXISTS (SELECT 1 FROM entities e WHERE e.id = h.entity AND e.agent_id = ?)
                     -- Cycle prevention
                     AND h.path NOT LIKE '%/' ||
                         CASE WHEN t.subject = h.entity THEN t.object ELSE t.subject END || '/%'
+                    ${walk.sql}
             )
-            SELECT source_exchange_id, SUM(score) as total_score, MIN(depth) as min_depth
-            FROM hop
-            WHERE source_exchange_id IS NOT NULL
-            GROUP BY source_exchange_id
-            ORDER BY total_score DESC
+            -- Fan out to every exchange that stated a traversed triple
+            SELECT ts.exchange_id, ts.source_date, h.seed, h.depth, h.edges, h.confidence, h.score,
+                   er.importance
+            FROM hop h
+            JOIN triple_sources ts ON ts.triple_id = h.triple_id
+            LEFT JOIN entities er ON er.id = h.entity AND er.agent_id = ?
+            WHERE 1 = 1 ${dated.sql} ${reached.sql}
+            ORDER BY h.score DESC
             LIMIT ?
         `;
 
-        // Build params: seed entities appear 3 times (subject IN, subject IN, object IN)
+        // Build params: seed entities appear 4 times (seed CASE, entity CASE, subject IN, object IN)
         const params = [
-            ...entityIds,           // CASE WHEN subject IN
+            ...entityIds,           // seed: CASE WHEN subject IN
+            ...entityIds,           // entity: CASE WHEN subject IN
             d,                      // confidence * decay
             ...entityIds,           // WHERE subject IN
             ...entityIds,           // OR object IN
             agentId,                // agent_id
             minConf,                // confidence >= threshold
+            ...walk.params,         // predicate filters
             d,                      // recursive: score * decay
+            ...(hubPenalty ? [agentId, this.hubPenaltyDegree] : []),
             maxHops,                // depth < maxHops
             agentId,                // recursive agent_id
             minConf,                // recursive confidence
             agentId,                // entity quality gate agent_id
-            this.maxResults * 2     // LIMIT (fetch extra, let merge handle final limit)
+            ...walk.params,         // recursive predicate filters
+            agentId,                // reached entity importance
+            ...dated.params,        // evidence date range
+            ...reached.params,      // reached entity types
+            this.pathSearchBudget   // bound the fan-out on dense graphs
         ];
 
         const results = new Map();
         try {
             const rows = this.store.db.prepare(sql).all(...params);
             for (const row of rows) {
-                results.set(row.source_exchange_id, row.total_score);
+                if (!results.has(row.exchange_id)) {
+                    results.set(row.exchange_id, {
+                        score: 0, seeds: new Set(), depth: row.depth, date: null, maxConfidence: 0, paths: []
+                    });
+                }
+                const entry = results.get(row.exchange_id);
+                const score = row.score * this._importanceFactor(row.importance);
+                entry.score += score;
+                entry.seeds.add(row.seed);
+                entry.depth = Math.min(entry.depth, row.depth);
+                entry.maxConfidence = Math.max(entry.maxConfidence, row.confidence);
+                if (row.source_date && (!entry.date || row.source_date > entry.date)) entry.date = row.source_date;
+                entry.paths.push({
+                    seed: row.seed,
+                    tripleIds: row.edges.split('/').filter(Boolean).map(Number),
+                    depth: row.depth,
+                    score
+                });
             }
         } catch (err) {
             // Graceful degradation — if CTE fails, return empty
             // (can happen with unusual graph structures)
         }
 
+        for (const entry of results.values()) entry.seeds = [...entry.seeds];
+        return results;
+    }
+
+    /**
+     * Soft expansion through topic communities: exchanges that stated facts
+     * about the most important other members of each query entity's
+     * community score communityBoost × confidence per fact.
+     *
+     * @param {string[]} entityIds - Normalized entity IDs from query
+     * @param {string} agentId
+     * @param {Object} [filters] - Normalized search filters; entityTypes apply to the members
+     * @returns {Map<string, Object>} exchangeId → { score, seeds, depth: null, date,
+     *   maxConfidence, members }
+     */
+    expandCommunities(entityIds, agentId, filters) {
+        const results = new Map();
+        if (this.communityBoost <= 0 || entityIds.length === 0) return results;
+
+        const f = filters || this._normalizeFilters(null, agentId);
+        const memberFilters = { ...f, entityTypes: [] };
+        const queried = new Set(entityIds);
+        for (const seed of queried) {
+            const community = this.communities.ofEntity(seed, agentId);
+            if (!community) continue;
+            const members = this.communities.members(community.id, agentId, {
+                limit: this.communityExpansion + queried.size,
+                exclude: seed
+            }).filter(m => !queried.has(m.id) && (f.entityTypes.length === 0 || f.entityTypes.includes(m.entity_type)))
+                .slice(0, this.communityExpansion);
+
+            for (const member of members) {
+                const triples = this._getTriplesByNormalizedId(member.id, agentId, 20, memberFilters);
+                for (const { triple, exchangeId, date } of this._tripleEvidence(triples, f)) {
+                    if (!results.has(exchangeId)) {
+                        results.set(exchangeId, {
+                            score: 0, seeds: [], depth: null, date: null, maxConfidence: 0, members: []
+                        });
+                    }
+                    const entry = results.get(exchangeId);
+                    entry.score += this.communityBoost * (triple.confidence || 1.0);
+                    if (!entry.seeds.includes(seed)) entry.seeds.push(seed);
+                    if (!entry.members.includes(member.id)) entry.members.push(member.id);
+                    entry.maxConfidence = Math.max(entry.maxConfidence, triple.confidence || 0);
+                    if (date && (!entry.date || date > entry.date)) entry.date = date;
+                }
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Personalized PageRank retrieval: a random walk that restarts at the
+     * query entities with restartProbability, approximated by local push
+     * (Andersen–Chung–Lang) so only the neighbourhood the walk reaches is
+     * read. Edges are current entity-to-entity triples at or above
+     * minTraversalConfidence, weighted by confidence and walked either way.
+     *
+     * Each triple then carries the walk's flow across it, p(a)·w/s(a) +
+     * p(b)·w/s(b), and an exchange scores the flow on the triples it stated.
+     * Pushing stops when residuals fall below epsilon or the time budget
+     * runs out, whichever comes first.
+     *
+     * @param {string[]} entityIds - Normalized entity IDs from query
+     * @param {string} agentId
+     * @param {Object} [filters] - Normalized search filters
+     * @returns {Map<string, Object>} Same shape as searchMultiHop; each path
+     *   is the walk's first route from a seed to the triple
+     */
+    searchPersonalizedPageRank(entityIds, agentId, filters) {
+        const results = new Map();
+        if (entityIds.length === 0) return results;
+
+        const f = filters || this._normalizeFilters(null, agentId);
+        const minConf = f.minConfidence ?? this.minTraversalConfidence;
+        const walk = this._predicateFilterSql('t', f);
+        const neighboursOf = this.store.db.prepare(`
+            SELECT id, subject, object, confidence, source_date FROM triples t
+            WHERE (subject = ? OR object = ?) AND agent_id = ? AND valid_to IS NULL
+                AND confidence >= ?
+                AND COALESCE(object_kind, 'entity') = 'entity'
+                AND subject != object
+                ${walk.sql}
+        `);
+        const alpha = this.restartProbability;
+        const deadline = Date.now() + this.pprTimeBudgetMs;
+
+        const adjacency = new Map(); // node → [{ to, weight, tripleId }]
+        const strength = new Map();
+        const edges = new Map();     // tripleId → triple row
+        const neighbours = (node) => {
+            if (!adjacency.has(node)) {
+                const list = neighboursOf.all(node, node, agentId, minConf, ...walk.params).map(t => {
+                    edges.set(t.id, t);
+                    return { to: t.subject === node ? t.object : t.subject, weight: t.confidence, tripleId: t.id };
+                });
+                adjacency.set(node, list);
+                strength.set(node, list.reduce((sum, e) => sum + e.weight, 0));
+            }
+            return adjacency.get(node);
+        };
+
+        // First route into each node, for explanations: node → { from, tripleId, depth }
+        const seeds = [...new Set(entityIds)];
+        const route = new Map(seeds.map(s => [s, { from: null, tripleId: null, depth: 0, seed: s }]));
+        const rank = new Map();
+        const residual = new Map(seeds.map(s => [s, 1 / seeds.length]));
+        const queue = [...seeds];
+        const queued = new Set(queue);
+
+        while (queue.length > 0 && Date.now() < deadline) {
+            const u = queue.shift();
+            queued.delete(u);
+            const r = residual.get(u) || 0;
+            const out = neighbours(u);
+            rank.set(u, (rank.get(u) || 0) + alpha * r);
+            residual.set(u, 0);
+
+            const s = strength.get(u);
+            if (s === 0) continue;
+            for (const e of out) {
+                residual.set(e.to, (residual.get(e.to) || 0) + (1 - alpha) * r * e.weight / s);
+                if (!route.has(e.to)) {
+                    const at = route.get(u);
+                    route.set(e.to, { from: u, tripleId: e.tripleId, depth: at.depth + 1, seed: at.seed });
+                }
+                // Threshold relative to degree; unexpanded nodes count as degree 1
+                const degree = adjacency.has(e.to) ? Math.max(1, adjacency.get(e.to).length) : 1;
+                if (!queued.has(e.to) && residual.get(e.to) / degree > this.pprEpsilon) {
+                    queue.push(e.to);
+                    queued.add(e.to);
+                }
+            }
+        }
+
+        // Flow across each touched triple
+        const flow = (node, t) => {
+            const s = strength.get(node);
+            return s ? (rank.get(node) || 0) * t.confidence / s : 0;
+        };
+        const scored = [...edges.values()]
+            .map(t => ({ triple: t, mass: flow(t.subject, t) + flow(t.object, t) }))
+            .filter(x => x.mass > 0)
+            .sort((a, b) => b.mass - a.mass)
+            .slice(0, this.pprMaxTriples);
+        if (scored.length === 0) return results;
+
+        const routeTo = (node) => {
+            const ids = [];
+            for (let at = route.get(node); at && at.tripleId; at = route.get(at.from)) ids.unshift(at.tripleId);
+            return ids;
+        };
+
+        const sources = this.store.getTripleSources(scored.map(x => x.triple.id));
+        for (const { triple, mass } of scored) {
+            // Explain via the endpoint the walk reached first
+            const a = route.get(triple.subject);
+            const b = route.get(triple.object);
+            const near = !b || (a && a.depth <= b.depth) ? triple.subject : triple.object;
+            const nearRoute = route.get(near);
+            const tripleIds = [...routeTo(near), triple.id];
+            const depth = nearRoute.depth + 1;
+            const far = near === triple.subject ? triple.object : triple.subject;
+            if (!this._entityTypeAllowed(far, f)) continue;
+
+            for (const src of (sources.get(triple.id) || [])) {
+                if (!this._inDateRange(src.source_date || triple.source_date, f)) continue;
+                if (!results.has(src.exchange_id)) {
+                    results.set(src.exchange_id, {
+                        score: 0, seeds: [], depth, date: null, maxConfidence: 0, paths: []
+                    });
+                }
+                const entry = results.get(src.exchange_id);
+                entry.score += mass;
+                if (!entry.seeds.includes(nearRoute.seed)) entry.seeds.push(nearRoute.seed);
+                entry.depth = Math.min(entry.depth, depth);
+                entry.maxConfidence = Math.max(entry.maxConfidence, triple.confidence);
+                const date = src.source_date || triple.source_date;
+                if (date && (!entry.date || date > entry.date)) entry.date = date;
+                entry.paths.push({ seed: nearRoute.seed, tripleIds, depth, score: mass });
+            }
+        }
+
         return results;
     }
 
+    /**
+     * Find the paths that connect two entities, for explaining a link.
+     * Edges are walked in either direction; each hop is reported from the
+     * walker's side via the registry ("Fenrir created_by Vector" for an
+     * incoming "created").
+     *
+     * Paths are ranked by the product of their hop confidences, decayed by
+     * hopDecay per extra hop, so short and well-supported chains come first.
+     * The walk is bounded by retrieval.pathSearchBudget partial paths.
+     *
+     * @param {string} from - Entity name
+     * @param {string} to - Entity name
+     * @param {Object} [options]
+     * @param {string} [options.agentId]
+     * @param {number} [options.maxHops] - Longest path, 1-6 (default retrieval.maxHops, at least 3)
+     * @param {string[]|string} [options.predicates] - Only traverse these, as an array or
+     *   comma-separated (inverse names allowed)
+     * @param {number} [options.minConfidence] - Skip weaker triples (default minTraversalConfidence)
+     * @param {number} [options.limit] - Max paths (default 10)
+     * @param {boolean} [options.shortest] - Only the shortest paths
+     * @returns {Array<{ score: number, length: number, summary: string, hops: Array }>}
+     */
+    findPaths(from, to, options) {
+        const opts = options || {};
+        const aid = opts.agentId || 'main';
+        const fromId = this.store.normalizeEntityId(from);
+        const toId = this.store.normalizeEntityId(to);
+        if (fromId === toId) return [];
+
+        let maxHops = Math.min(Math.max(this.maxHops, 3), 6);
+        if (opts.maxHops !== undefined && opts.maxHops !== null && opts.maxHops !== '') {
+            maxHops = Number(opts.maxHops);
+            if (!Number.isInteger(maxHops) || maxHops < 1 || maxHops > 6) {
+                throw new Error(`Invalid maxHops "${opts.maxHops}" (expected an integer from 1 to 6)`);
+            }
+        }
+        const minConf = opts.minConfidence ?? this.minTraversalConfidence;
+        const limit = opts.limit || 10;
+
+        let names = opts.predicates ?? [];
+        if (typeof names === 'string') names = names.split(',').map(p => p.trim()).filter(Boolean);
+        if (!Array.isArray(names) || names.some(p => typeof p !== 'string' || !p)) {
+            throw new Error('Invalid predicates (expected an array of names or a comma-separated string)');
+        }
+        const predicates = names
+            .map(p => this.store.predicates.canonicalize({ predicate: p }, aid).predicate);
+
+        const other = `CASE WHEN t.subject = w.entity THEN t.object ELSE t.subject END`;
+        const predicateFilter = predicates.length > 0
+            ? `AND t.predicate IN (${predicates.map(() => '?').join(', ')})`
+            : '';
+        const sql = `
+            WITH RECURSIVE walk(entity, depth, nodes, edges) AS (
+                SELECT ?, 0, '/' || ? || '/', '/'
+
+                UNION ALL
+
+                SELECT ${other}, w.depth + 1, w.nodes || ${other} || '/', w.edges || t.id || '/'
+                FROM walk w
+                JOIN triples t ON (t.subject = w.entity OR t.object = w.entity)
+                WHERE w.depth < ?
+                    AND w.entity != ?
+                    AND t.agent_id = ?
+                    AND t.valid_to IS NULL
+                    AND t.confidence >= ?
+                    AND COALESCE(t.object_kind, 'entity') = 'entity'
+                    ${predicateFilter}
+                    -- Simple paths only
+                    AND instr(w.nodes, '/' || ${other} || '/') = 0
+                LIMIT ?
+            )
+            SELECT edges, depth FROM walk WHERE entity = ? AND depth > 0
+        `;
+        const params = [fromId, fromId, maxHops, toId, aid, minConf, ...predicates, this.pathSearchBudget, toId];
+        let rows = this.store.db.prepare(sql).all(...params);
+
+        if (opts.shortest && rows.length > 0) {
+            const shortest = Math.min(...rows.map(r => r.depth));
+            rows = rows.filter(r => r.depth === shortest);
+        }
+
+        // Load every triple on the found paths once
+        const edgeLists = rows.map(r => r.edges.split('/').filter(Boolean).map(Number));
+        const triples = this._loadTriples(edgeLists.flat());
+        const sources = this.store.getTripleSources([...triples.keys()]);
+
+        const seen = new Set();
+        const paths = [];
+        for (const edges of edgeLists) {
+            const hops = this._describeHops(fromId, edges, triples, aid);
+            for (const h of hops) {
+                h.sources = (sources.get(h.triple.id) || []).map(src => ({
+                    exchangeId: src.exchange_id,
+                    date: src.source_date,
+                    extractor: src.extractor,
+                    confidence: src.confidence
+                }));
+            }
+            const confidence = hops.reduce((product, h) => product * h.confidence, 1);
+
+            // Symmetric facts stored both ways would repeat the same path
+            const summary = this._summarizeHops(fromId, hops);
+            if (seen.has(summary)) continue;
+            seen.add(summary);
+
+            paths.push({
+                score: confidence * Math.pow(this.hopDecay, hops.length - 1),
+                length: hops.length,
+                summary,
+                hops
+            });
+        }
+
+        paths.sort((a, b) => b.score - a.score || a.length - b.length);
+        return paths.slice(0, limit);
+    }
+
+    /**
+     * Turn the triple IDs on each result's paths and patterns into readable
+     * summaries (and, when explaining, hop-by-hop detail), keeping the best
+     * three of each per result.
+     */
+    _describeResultPaths(results, agentId, explain) {
+        const keep = 3;
+        for (const r of results) {
+            r.paths = r.paths.sort((a, b) => b.score - a.score).slice(0, keep);
+            r.patterns = r.patterns.sort((a, b) => b.score - a.score).slice(0, keep);
+        }
+        const triples = this._loadTriples(results.flatMap(r =>
+            [...r.paths, ...r.patterns].flatMap(p => p.tripleIds)));
+
+        const describe = (p) => {
+            const hops = this._describeHops(p.seed, p.tripleIds, triples, agentId);
+            const out = { seed: p.seed, summary: this._summarizeHops(p.seed, hops), depth: hops.length, score: p.score };
+            if (explain) out.hops = hops;
+            return out;
+        };
+        for (const r of results) {
+            r.paths = r.paths.map(describe);
+            r.patterns = r.patterns.map(p => ({ predicates: p.predicates, ...describe(p) }));
+        }
+    }
+
+    /**
+     * Load triples by ID.
+     * @returns {Map<number, Object>}
+     */
+    _loadTriples(ids) {
+        const triples = new Map();
+        const getTriple = this.store.db.prepare('SELECT * FROM triples WHERE id = ?');
+        for (const id of new Set(ids)) {
+            const t = getTriple.get(id);
+            if (t) triples.set(id, t);
+        }
+        return triples;
+    }
+
+    /**
+     * Walk a chain of triples from a start entity, orienting each hop from
+     * the walker's side via the registry.
+     */
+    _describeHops(startId, tripleIds, triples, agentId) {
+        const registry = this.store.predicates;
+        const hops = [];
+        let at = startId;
+        for (const id of tripleIds) {
+            const t = triples.get(id);
+            if (!t) break;
+            const direction = t.subject === at ? 'out' : 'in';
+            const def = registry.get(t.predicate, agentId);
+            const next = direction === 'out' ? t.object : t.subject;
+            hops.push({
+                from: at,
+                to: next,
+                direction,
+                reading: direction === 'out' || def.symmetric ? t.predicate : (def.inverse || t.predicate),
+                triple: { id: t.id, subject: t.subject, predicate: t.predicate, object: t.object },
+                confidence: t.confidence,
+                validFrom: t.valid_from,
+                sourceExchangeId: t.source_exchange_id
+            });
+            at = next;
+        }
+        return hops;
+    }
+
+    _summarizeHops(startId, hops) {
+        return startId + hops.map(h => ` -[${h.reading}]-> ${h.to}`).join('');
+    }
+
     /**
      * Meta-path pattern traversal.
      * Each pattern is a sequence of predicates to follow as fixed-depth JOINs.
+     * Steps are resolved through the predicate registry: an inverse name
+     * ("created_by") walks its forward predicate backwards, and symmetric
+     * predicates are followed in either direction.
      *
      * @param {string[]} entityIds - Normalized entity IDs from query
      * @param {string} agentId
      * @param {Array} patterns - Active patterns [{predicates: string[], weight: number}]
-     * @returns {Map<string, number>} exchangeId → score
+     * @param {Object} [filters] - Normalized search filters; a pattern that
+     *   steps over a filtered-out predicate is skipped
+     * @returns {Map<string, Object>} exchangeId → { score, seeds, depth, date,
+     *   maxConfidence, patterns: [{ predicates, seed, tripleIds, score }] } —
+     *   the score is the best pattern match
      */
-    searchMetaPaths(entityIds, agentId, patterns) {
+    searchMetaPaths(entityIds, agentId, patterns, filters) {
         const results = new Map();
         if (entityIds.length === 0 || !patterns || patterns.length === 0) return results;
 
+        const f = filters || this._normalizeFilters(null, agentId);
         const placeholders = entityIds.map(() => '?').join(', ');
+        const dated = this._dateFilterSql('ts.source_date', f);
 
         for (const pattern of patterns) {
             const preds = pattern.predicates;
             if (!preds || preds.length < 2 || preds.length > 3) continue;
 
             try {
-                let sql, params;
-
-                if (preds.length === 2) {
-                    // 2-step: seed → p1 → intermediate → p2 → target
-                    sql = `
-                        SELECT t2.source_exchange_id,
-                               t1.confidence * t2.confidence * ? as score
-                        FROM triples t1
-                        JOIN triples t2
-                            ON t2.subject = t1.object
-                            AND t2.predicate = ?
-                            AND t2.agent_id = ?
-                        WHERE t1.subject IN (${placeholders})
-                            AND t1.predicate = ?
-                            AND t1.agent_id = ?
-                            AND t2.source_exchange_id IS NOT NULL
-                        LIMIT ?
-                    `;
-                    params = [
-                        pattern.weight,     // score multiplier
-                        preds[1],           // t2 predicate
-                        agentId,            // t2 agent_id
-                        ...entityIds,       // t1.subject IN
-                        preds[0],           // t1 predicate
-                        agentId,            // t1 agent_id
-                        this.maxResults     // LIMIT
-                    ];
-                } else {
-                    // 3-step: seed → p1 → int1 → p2 → int2 → p3 → target
-                    sql = `
-                        SELECT t3.source_exchange_id,
-                               t1.confidence * t2.confidence * t3.confidence * ? as score
-                        FROM triples t1
-                        JOIN triples t2
-                            ON t2.subject = t1.object
-                            AND t2.predicate = ?
-                            AND t2.agent_id = ?
-                        JOIN triples t3
-                            ON t3.subject = t2.object
-                            AND t3.predicate = ?
-                            AND t3.agent_id = ?
-                        WHERE t1.subject IN (${placeholders})
-                            AND t1.predicate = ?
-                            AND t1.agent_id = ?
-                            AND t3.source_exchange_id IS NOT NULL
-                        LIMIT ?
-                    `;
-                    params = [
-                        pattern.weight,     // score multiplier
-                        preds[1],           // t2 predicate
-                        agentId,            // t2 agent_id
-                        preds[2],           // t3 predicate
-                        agentId,            // t3 agent_id
-                        ...entityIds,       // t1.subject IN
-                        preds[0],           // t1 predicate
-                        agentId,            // t1 agent_id
-                        this.maxResults     // LIMIT
-                    ];
-                }
+                // seed → p1 → int1 → p2 → [int2 → p3 →] target, each step an
+                // oriented edge set (src → dst) so every join reads the same way
+                const steps = preds.map(p => this._resolveStep(p, agentId));
+                if (!steps.every(step => this._predicateAllowed(step.predicate, f))) continue;
+                const params = [pattern.weight]; // score multiplier
+                const from = [];
+                steps.forEach((step, i) => {
+                    const t = `t${i + 1}`;
+                    const edges = `(${this._orientedEdgesSql(step.direction)}) ${t}`;
+                    from.push(i === 0 ? `FROM ${edges}` : `JOIN ${edges} ON ${t}.src = t${i}.dst`);
+                    params.push(step.predicate, agentId);
+                    if (step.direction === 'both') params.push(step.predicate, agentId);
+                });
+                const last = `t${steps.length}`;
+                const reached = this._entityTypeFilterSql(`${last}.dst`, f, agentId);
+                const confident = f.minConfidence !== null
+                    ? steps.map((_, i) => `AND t${i + 1}.confidence >= ?`).join(' ')
+                    : '';
+                const score = steps.map((_, i) => `t${i + 1}.confidence`).join(' * ');
+                const edgeIds = steps.map((_, i) => `t${i + 1}.id AS e${i + 1}`).join(', ');
+
+                const sql = `
+                    SELECT ts.exchange_id as source_exchange_id, ts.source_date,
+                           t1.src AS seed, ${edgeIds}, ${last}.confidence AS confidence,
+                           ${score} * ? as score, er.importance
+                    ${from.join('\n                    ')}
+                    JOIN triple_sources ts ON ts.triple_id = ${last}.id
+                    LEFT JOIN entities er ON er.id = ${last}.dst AND er.agent_id = ?
+                    WHERE t1.src IN (${placeholders}) ${confident} ${dated.sql} ${reached.sql}
+                    LIMIT ?
+                `;
+                params.push(agentId, ...entityIds);
+                if (confident) params.push(...steps.map(() => f.minConfidence));
+                params.push(...dated.params, ...reached.params, this.maxResults);
 
                 const rows = this.store.db.prepare(sql).all(...params);
                 for (const row of rows) {
                     if (!row.source_exchange_id) continue;
-                    const existing = results.get(row.source_exchange_id) || 0;
-                    results.set(row.source_exchange_id, Math.max(existing, row.score));
+                    if (!results.has(row.source_exchange_id)) {
+                        results.set(row.source_exchange_id, {
+                            score: 0, seeds: [], depth: steps.length, date: null, maxConfidence: 0, patterns: []
+                        });
+                    }
+                    const entry = results.get(row.source_exchange_id);
+                    const rowScore = row.score * this._importanceFactor(row.importance);
+                    entry.score = Math.max(entry.score, rowScore);
+                    if (!entry.seeds.includes(row.seed)) entry.seeds.push(row.seed);
+                    entry.depth = Math.min(entry.depth, steps.length);
+                    entry.maxConfidence = Math.max(entry.maxConfidence, row.confidence);
+                    if (row.source_date && (!entry.date || row.source_date > entry.date)) entry.date = row.source_date;
+                    entry.patterns.push({
+                        predicates: preds,
+                        seed: row.seed,
+                        tripleIds: steps.map((_, i) => row[`e${i + 1}`]),
+                        score: rowScore
+                    });
                 }
             } catch {
                 // Skip patterns that fail (e.g., no matching triples)
@@ -378,49 +943,268 @@ class GraphSearcher {
     }
 
     /**
-     * Look up triples by already-normalized entity ID.
+     * Score multiplier for reaching an entity: importanceWeight of the score
+     * follows its importance (0–1); unscored entities count as middling.
+     */
+    _importanceFactor(importance) {
+        const w = this.importanceWeight;
+        return (1 - w) + w * (importance ?? 0.5);
+    }
+
+    /**
+     * Resolve a meta-path step against the predicate registry.
+     * @returns {{ predicate: string, direction: 'out'|'in'|'both' }}
+     */
+    _resolveStep(predicate, agentId) {
+        const registry = this.store.predicates;
+        if (registry.isSymmetric(predicate, agentId)) return { predicate, direction: 'both' };
+        const { predicate: forward, flipped } = registry.canonicalize({ predicate }, agentId);
+        return { predicate: forward, direction: flipped ? 'in' : 'out' };
+    }
+
+    /**
+     * SQL for current triples of one predicate as oriented edges (id, src, dst, confidence).
+     * Binds (predicate, agentId) once, or twice for 'both'.
+     */
+    _orientedEdgesSql(direction) {
+        const select = (src, dst) => `
+                        SELECT id, ${src} AS src, ${dst} AS dst, confidence FROM triples
+                        WHERE predicate = ? AND agent_id = ? AND valid_to IS NULL`;
+        if (direction === 'in') return select('object', 'subject');
+        if (direction === 'both') return `${select('subject', 'object')}\n                        UNION ALL${select('object', 'subject')}`;
+        return select('subject', 'object');
+    }
+
+    /**
+     * Expand triples into one entry per supporting exchange (triple_sources).
+     *
+     * @param {Array} triples - Triple rows
+     * @param {Object} [filters] - Normalized search filters; evidence outside the date range is dropped
+     * @returns {Array<{triple: Object, exchangeId: string, date: string}>}
      */
-    _getTriplesByNormalizedId(normalizedId, agentId, limit) {
+    _tripleEvidence(triples, filters) {
+        const sources = this.store.getTripleSources(triples.map(t => t.id));
+        const evidence = [];
+        for (const triple of triples) {
+            for (const row of (sources.get(triple.id) || [])) {
+                const date = row.source_date || triple.source_date;
+                if (filters && !this._inDateRange(date, filters)) continue;
+                evidence.push({ triple, exchangeId: row.exchange_id, date });
+            }
+        }
+        return evidence;
+    }
+
+    /**
+     * Look up triples by already-normalized entity ID. With filters, only
+     * triples that pass them and have evidence inside the date range.
+     */
+    _getTriplesByNormalizedId(normalizedId, agentId, limit, filters) {
         const aid = agentId || 'main';
         const lim = limit || 50;
+        const f = filters || this._normalizeFilters(null, aid);
+        const walk = this._predicateFilterSql('t', f);
+        const reached = this._entityTypeFilterSql('CASE WHEN t.subject = ? THEN t.object ELSE t.subject END', f, aid);
+        const dated = this._dateFilterSql('ts.source_date', f);
         const sql = `
-            SELECT * FROM triples
-            WHERE (subject = ? OR object = ?) AND agent_id = ?
+            SELECT * FROM triples t
+            WHERE (subject = ? OR object = ?) AND agent_id = ? AND valid_to IS NULL
+                ${f.minConfidence !== null ? 'AND t.confidence >= ?' : ''}
+                ${walk.sql}
+                ${reached.sql}
+                ${dated.sql ? `AND EXISTS (SELECT 1 FROM triple_sources ts WHERE ts.triple_id = t.id ${dated.sql})` : ''}
             ORDER BY updated_at DESC
             LIMIT ?
         `;
-        return this.store.db.prepare(sql).all(normalizedId, normalizedId, aid, lim);
+        return this.store.db.prepare(sql).all(
+            normalizedId, normalizedId, aid,
+            ...(f.minConfidence !== null ? [f.minConfidence] : []),
+            ...walk.params,
+            ...(reached.sql ? [normalizedId, ...reached.params] : []),
+            ...dated.params,
+            lim
+        );
+    }
+
+    /**
+     * Validate and normalize search filters.
+     *
+     * Dates may be YYYY-MM-DD or YYYY-MM; a month covers the whole month
+     * ("to": "2026-03" ends on the 31st, which compares correctly for any
+     * month). Predicate names are canonicalized so inverse names work.
+     *
+     * @param {Object} [filters]
+     * @param {string} agentId
+     * @returns {{ active: boolean, from: string|null, to: string|null, predicates: string[],
+     *   excludePredicates: string[], entityTypes: string[], minConfidence: number|null,
+     *   maxHops: number|null, strategy: string|null }}
+     */
+    _normalizeFilters(filters, agentId) {
+        const f = filters || {};
+        const list = (value) => (Array.isArray(value) ? value : value ? [value] : []).filter(Boolean);
+        const canonical = (value) => list(value)
+            .map(p => this.store.predicates.canonicalize({ predicate: p }, agentId).predicate);
+        const day = (value, end) => {
+            if (!value) return null;
+            const match = String(value).match(/^(\d{4}-\d{2})(-\d{2})?/);
+            if (!match) throw new Error(`Invalid date filter "${value}" (expected YYYY-MM-DD or YYYY-MM)`);
+            return match[2] ? match[1] + match[2] : `${match[1]}-${end ? '31' : '01'}`;
+        };
+
+        const from = day(f.from, false);
+        const to = day(f.to, true);
+        if (from && to && from > to) {
+            throw new Error(`Date filter "from" (${from}) is after "to" (${to})`);
+        }
+        if (f.strategy && !STRATEGIES.includes(f.strategy)) {
+            throw new Error(`Unknown retrieval strategy "${f.strategy}" (expected ${STRATEGIES.join(', ')})`);
+        }
+        const minConfidence = f.minConfidence !== undefined && f.minConfidence !== null
+            ? Number(f.minConfidence)
+            : null;
+        if (minConfidence !== null && !(minConfidence >= 0 && minConfidence <= 1)) {
+            throw new Error(`minConfidence must be between 0 and 1 (got ${f.minConfidence})`);
+        }
+        const maxHops = f.maxHops ? Math.max(1, Math.min(Math.floor(Number(f.maxHops)) || 1, 6)) : null;
+
+        const normalized = {
+            from,
+            to,
+            predicates: canonical(f.predicates),
+            excludePredicates: canonical(f.excludePredicates),
+            entityTypes: list(f.entityTypes).map(t => String(t).toUpperCase()),
+            minConfidence,
+            maxHops,
+            strategy: f.strategy || null
+        };
+        normalized.active = !!(from || to || normalized.predicates.length || normalized.excludePredicates.length ||
+            normalized.entityTypes.length || minConfidence !== null);
+        return normalized;
+    }
+
+    /**
+     * SQL conditions for the predicate allow and exclude lists on a triple alias.
+     * @returns {{ sql: string, params: Array }}
+     */
+    _predicateFilterSql(alias, filters) {
+        const parts = [];
+        const params = [];
+        if (filters.predicates.length > 0) {
+            parts.push(`AND ${alias}.predicate IN (${filters.predicates.map(() => '?').join(', ')})`);
+            params.push(...filters.predicates);
+        }
+        if (filters.excludePredicates.length > 0) {
+            parts.push(`AND ${alias}.predicate NOT IN (${filters.excludePredicates.map(() => '?').join(', ')})`);
+            params.push(...filters.excludePredicates);
+        }
+        return { sql: parts.join(' '), params };
+    }
+
+    /**
+     * SQL condition requiring the entity at `expr` to have one of the filter's
+     * types (literal objects never do). Binds the agent ID, then the types.
+     * @returns {{ sql: string, params: Array }}
+     */
+    _entityTypeFilterSql(expr, filters, agentId) {
+        if (filters.entityTypes.length === 0) return { sql: '', params: [] };
+        return {
+            sql: `AND EXISTS (SELECT 1 FROM entities ef WHERE ef.id = ${expr} AND ef.agent_id = ? ` +
+                `AND ef.entity_type IN (${filters.entityTypes.map(() => '?').join(', ')}))`,
+            params: [agentId, ...filters.entityTypes]
+        };
+    }
+
+    /**
+     * SQL conditions for the date range on a source_date column.
+     * @returns {{ sql: string, params: Array }}
+     */
+    _dateFilterSql(column, filters) {
+        const parts = [];
+        const params = [];
+        if (filters.from) {
+            parts.push(`AND substr(${column}, 1, 10) >= ?`);
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            parts.push(`AND substr(${column}, 1, 10) <= ?`);
+            params.push(filters.to);
+        }
+        return { sql: parts.join(' '), params };
+    }
+
+    _predicateAllowed(predicate, filters) {
+        if (filters.predicates.length > 0 && !filters.predicates.includes(predicate)) return false;
+        return !filters.excludePredicates.includes(predicate);
+    }
+
+    _entityTypeAllowed(entityId, filters) {
+        if (filters.entityTypes.length === 0) return true;
+        return filters.entityTypes.includes(this.store.getEntity(entityId)?.entity_type);
+    }
+
+    _inDateRange(date, filters) {
+        if (!filters.from && !filters.to) return true;
+        if (!date) return false;
+        const d = date.slice(0, 10);
+        return (!filters.from || d >= filters.from) && (!filters.to || d <= filters.to);
     }
 
     /**
      * Get entity details + surrounding graph context.
      * Used by the graph.getEntity gateway method.
+     *
+     * @param {string} entityName
+     * @param {string} agentId
+     * @param {Object} [options]
+     * @param {string} [options.asOf] - Show relationships valid on this date instead of current ones
      */
-    getEntityContext(entityName, agentId) {
+    getEntityContext(entityName, agentId, options) {
+        const opts = options || {};
         const aid = agentId || 'main';
         const id = this.store.normalizeEntityId(entityName);
         const entity = this.store.getEntity(id);
         if (!entity) return null;
 
-        const triples = this.store.getTriplesFor(entityName, aid, 50);
-        const cooccurrences = this.store.getCooccurrences(entityName, 10);
+        const triples = this.store.getTriplesFor(entityName, aid, 50, opts.asOf);
+        const cooccurrences = this.store.getCooccurrences(entityName, aid, 10);
+        const disputes = this.store.contradictions.list(aid, { status: 'disputed', entityId: id });
+        const disputedIds = new Set(disputes.flatMap(c => [c.a.id, c.b.id]));
 
+        // Incoming edges are labelled from this entity's side via the registry
+        // ("Fenrir created_by Vector" for an incoming "created")
+        const registry = this.store.predicates;
         const relationships = {};
         for (const t of triples) {
             if (!relationships[t.predicate]) {
                 relationships[t.predicate] = [];
             }
+            const direction = t.subject === id ? 'out' : 'in';
+            const def = registry.get(t.predicate, aid);
             relationships[t.predicate].push({
                 subject: t.subject,
                 object: t.object,
+                direction,
+                reading: direction === 'out' || def.symmetric ? t.predicate : (def.inverse || t.predicate),
                 confidence: t.confidence,
-                date: t.source_date
+                date: t.source_date,
+                validFrom: t.valid_from,
+                validTo: t.valid_to,
+                disputed: disputedIds.has(t.id)
             });
         }
 
+        const community = this.communities.ofEntity(id, aid);
+        if (community) {
+            community.members = this.communities.members(community.id, aid, { limit: 10, exclude: id })
+                .map(m => ({ id: m.id, name: m.canonical_name, type: m.entity_type }));
+        }
+
         return {
             entity,
+            asOf: opts.asOf || null,
             relationships,
+            contradictions: disputes,
+            community,
             cooccurrences: cooccurrences.map(c => ({
                 entity: c.entity_a === id ? c.entity_b : c.entity_a,
                 count: c.count,
@@ -9,75 +9,32 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
-
-const SCHEMA_SQL = `
--- Core triples (subject → predicate → object)
-CREATE TABLE IF NOT EXISTS triples (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    subject TEXT NOT NULL,
-    predicate TEXT NOT NULL,
-    object TEXT NOT NULL,
-    confidence REAL DEFAULT 1.0,
-    source_exchange_id TEXT,
-    source_date TEXT,
-    created_at TEXT DEFAULT (datetime('now')),
-    updated_at TEXT DEFAULT (datetime('now')),
-    agent_id TEXT DEFAULT 'main',
-    pending_resolution INTEGER DEFAULT 0
-);
-
--- Entity registry (canonical forms + metadata)
-CREATE TABLE IF NOT EXISTS entities (
-    id TEXT PRIMARY KEY,
-    canonical_name TEXT NOT NULL,
-    entity_type TEXT DEFAULT 'CONCEPT',
-    first_seen TEXT DEFAULT (datetime('now')),
-    last_seen TEXT DEFAULT (datetime('now')),
-    mention_count INTEGER DEFAULT 1,
-    aliases TEXT DEFAULT '[]',
-    metadata TEXT,
-    agent_id TEXT DEFAULT 'main'
-);
-
--- Entity co-occurrence cache
-CREATE TABLE IF NOT EXISTS cooccurrences (
-    entity_a TEXT NOT NULL,
-    entity_b TEXT NOT NULL,
-    count INTEGER DEFAULT 1,
-    last_seen TEXT DEFAULT (datetime('now')),
-    PRIMARY KEY (entity_a, entity_b)
-);
-
--- Indexes for efficient traversal
-CREATE INDEX IF NOT EXISTS idx_triples_subject ON triples(subject, agent_id);
-CREATE INDEX IF NOT EXISTS idx_triples_object ON triples(object, agent_id);
-CREATE INDEX IF NOT EXISTS idx_triples_predicate ON triples(predicate, agent_id);
-CREATE INDEX IF NOT EXISTS idx_triples_subj_pred ON triples(subject, predicate);
-CREATE INDEX IF NOT EXISTS idx_triples_obj_pred ON triples(object, predicate);
-CREATE INDEX IF NOT EXISTS idx_triples_source ON triples(source_exchange_id);
-CREATE INDEX IF NOT EXISTS idx_triples_date ON triples(source_date);
-CREATE INDEX IF NOT EXISTS idx_entities_type ON entities(entity_type, agent_id);
-CREATE INDEX IF NOT EXISTS idx_entities_name ON entities(canonical_name);
-
--- Meta-path patterns (Phase 5: discovered and static traversal patterns)
-CREATE TABLE IF NOT EXISTS meta_patterns (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    predicates TEXT NOT NULL,
-    pattern_type TEXT DEFAULT 'static',
-    weight REAL DEFAULT 1.0,
-    yield_score REAL DEFAULT 0,
-    overlap_ratio REAL DEFAULT 1.0,
-    last_validated TEXT,
-    active INTEGER DEFAULT 1,
-    agent_id TEXT DEFAULT 'main',
-    created_at TEXT DEFAULT (datetime('now'))
-);
-
-CREATE INDEX IF NOT EXISTS idx_meta_patterns_agent ON meta_patterns(agent_id, active);
-`;
+const migrations = require('./migrations');
+const PredicateRegistry = require('./predicate-registry');
+const literals = require('./literals');
+const confidenceAggregation = require('./confidence');
+const ContradictionDetector = require('./contradictions');
+const cursors = require('./cursor');
+const Gazetteer = require('./gazetteer');
+
+// graph.listEntities sort orders: key expression and direction (ties break on id)
+const ENTITY_SORTS = {
+    name: { expr: 'lower(canonical_name)', desc: false },
+    mentions: { expr: 'mention_count', desc: true },
+    lastSeen: { expr: "COALESCE(last_seen, '')", desc: true },
+    firstSeen: { expr: "COALESCE(first_seen, '')", desc: false },
+    importance: { expr: 'COALESCE(importance, 0)', desc: true }
+};
 
 class GraphStore {
-    constructor(dbPath) {
+    /**
+     * @param {string} dbPath - Path of graph.db
+     * @param {Object} [options]
+     * @param {Object} [options.confidence] - config.confidence (aggregation strategy, extractor priors)
+     * @param {number} [options.halfLifeDays] - Default confidence half-life (storage.confidenceHalfLifeDays)
+     * @param {Object} [options.contradictions] - config.contradictions (antonym pairs, resolution window)
+     */
+    constructor(dbPath, options) {
         const dir = path.dirname(dbPath);
         if (!fs.existsSync(dir)) {
             fs.mkdirSync(dir, { recursive: true });
@@ -86,35 +43,104 @@ class GraphStore {
         this.db = new Database(dbPath);
         this.db.pragma('journal_mode = WAL');
         this.db.pragma('busy_timeout = 5000');
-        this.db.exec(SCHEMA_SQL);
+        this.db.pragma('foreign_keys = ON');
+
+        // Versioned schema upgrades (PRAGMA user_version), backed up first
+        this.dbPath = dbPath;
+        this.migrationReport = migrations.migrate(this.db, dbPath);
+
+        // Predicate behavior (cardinality, inverses, typing, TTLs, templates)
+        this.predicates = new PredicateRegistry(this.db);
+
+        // How repeated evidence combines into a triple's confidence
+        this.confidencePolicy = confidenceAggregation.normalizePolicy(options?.confidence);
+        this.halfLifeDays = options?.halfLifeDays || 90;
+
+        // Opposing predicates and same-time value clashes
+        this.contradictions = new ContradictionDetector(this.db, options?.contradictions);
+
+        // Per-agent entity matchers, loaded on first use and kept current on writes
+        this._gazetteers = new Map();
 
         // Prepared statements
         this._insertTriple = this.db.prepare(`
-            INSERT INTO triples (subject, predicate, object, confidence, source_exchange_id, source_date, agent_id, pending_resolution)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            INSERT INTO triples (subject, predicate, object, confidence, source_exchange_id, source_date, agent_id, pending_resolution,
+                                 valid_from, valid_to, superseded_by, object_kind, object_number, unit, qualifiers, recorded_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        `);
+
+        // Restatements may add qualifiers; known ones are kept, new ones win
+        this._mergeQualifiers = this.db.prepare(`
+            UPDATE triples SET qualifiers = json_patch(COALESCE(qualifiers, '{}'), ?) WHERE id = ?
         `);
 
+        // Only currently-valid triples count as exact duplicates
         this._findTriple = this.db.prepare(`
             SELECT id FROM triples
             WHERE subject = ? AND predicate = ? AND object = ? AND agent_id = ?
+                AND valid_to IS NULL
             LIMIT 1
         `);
 
-        // Upsert support: find existing triple by subject+predicate (ignoring object)
-        this._findTripleBySubjectPredicate = this.db.prepare(`
-            SELECT id, object FROM triples
-            WHERE subject = ? AND predicate = ? AND agent_id = ?
+        this._closeTriple = this.db.prepare(`
+            UPDATE triples SET valid_to = ?, superseded_by = ?, updated_at = datetime('now')
+            WHERE id = ?
+        `);
+
+        this._insertSource = this.db.prepare(`
+            INSERT INTO triple_sources (triple_id, exchange_id, source_date, extractor, confidence)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(triple_id, exchange_id, extractor) DO UPDATE SET
+                confidence = MAX(confidence, excluded.confidence)
         `);
 
-        this._deleteTriple = this.db.prepare(`
-            DELETE FROM triples WHERE id = ?
+        this._getSourcesForTriple = this.db.prepare(`
+            SELECT * FROM triple_sources WHERE triple_id = ?
+            ORDER BY source_date ASC, recorded_at ASC
         `);
 
+        // Supersede support: every interval of a subject+predicate, oldest first
+        this._getHistory = this.db.prepare(`
+            SELECT * FROM triples
+            WHERE subject = ? AND predicate = ? AND agent_id = ?
+            ORDER BY valid_from ASC, recorded_at ASC, id ASC
+        `);
+
+        // Reinforcement: decay restarts from here
         this._updateTripleConfidence = this.db.prepare(`
-            UPDATE triples SET confidence = MAX(confidence, ?), updated_at = datetime('now')
+            UPDATE triples SET confidence = MAX(confidence, ?), updated_at = datetime('now'), last_decayed_at = NULL
             WHERE id = ?
         `);
 
+        // Recomputation is not new evidence, so updated_at stays as it was
+        this._setTripleConfidence = this.db.prepare(`
+            UPDATE triples SET confidence = ?, last_decayed_at = ? WHERE id = ?
+        `);
+
+        this._getSinceReinforced = this.db.prepare(`
+            SELECT predicate, agent_id, julianday(?) - julianday(updated_at) AS elapsed_days
+            FROM triples WHERE id = ?
+        `);
+
+        // Decay runs from the later of last reinforcement and last decay, so
+        // repeated runs compose to the same result as one run over the whole span
+        this._getDecayCandidates = this.db.prepare(`
+            SELECT id, subject, predicate, object, confidence,
+                   julianday(?) - julianday(MAX(updated_at, COALESCE(last_decayed_at, updated_at))) AS elapsed_days
+            FROM triples
+            WHERE agent_id = ? AND valid_to IS NULL AND confidence > ?
+        `);
+
+        this._applyDecay = this.db.prepare(`
+            UPDATE triples SET confidence = ?, last_decayed_at = ? WHERE id = ?
+        `);
+
+        this._getSupportedTripleIds = this.db.prepare(`
+            SELECT DISTINCT t.id, t.confidence FROM triples t
+            JOIN triple_sources ts ON ts.triple_id = t.id
+            WHERE t.agent_id = ?
+        `);
+
         this._upsertEntity = this.db.prepare(`
             INSERT INTO entities (id, canonical_name, entity_type, agent_id, aliases)
             VALUES (?, ?, ?, ?, '[]')
@@ -127,6 +153,14 @@ class GraphStore {
             SELECT * FROM entities WHERE id = ?
         `);
 
+        this._gazetteerEntities = this.db.prepare(`
+            SELECT id, canonical_name, entity_type, aliases FROM entities WHERE agent_id = ?
+        `);
+
+        this._setAliases = this.db.prepare(`
+            UPDATE entities SET aliases = ? WHERE id = ?
+        `);
+
         this._getEntityByName = this.db.prepare(`
             SELECT * FROM entities WHERE canonical_name = ? AND agent_id = ? LIMIT 1
         `);
@@ -136,27 +170,32 @@ class GraphStore {
         `);
 
         this._upsertCooccurrence = this.db.prepare(`
-            INSERT INTO cooccurrences (entity_a, entity_b, count, last_seen)
-            VALUES (?, ?, 1, datetime('now'))
-            ON CONFLICT(entity_a, entity_b) DO UPDATE SET
+            INSERT INTO cooccurrences (agent_id, entity_a, entity_b, count, last_seen)
+            VALUES (?, ?, ?, 1, datetime('now'))
+            ON CONFLICT(agent_id, entity_a, entity_b) DO UPDATE SET
                 count = count + 1,
                 last_seen = datetime('now')
         `);
 
         this._getCooccurrences = this.db.prepare(`
             SELECT * FROM cooccurrences
-            WHERE entity_a = ? OR entity_b = ?
+            WHERE agent_id = ? AND (entity_a = ? OR entity_b = ?)
             ORDER BY count DESC
             LIMIT ?
         `);
 
+        this._getCooccurrencePair = this.db.prepare(`
+            SELECT count FROM cooccurrences
+            WHERE agent_id = ? AND entity_a = ? AND entity_b = ?
+        `);
+
         this._getTriplesForSubject = this.db.prepare(`
-            SELECT * FROM triples WHERE subject = ? AND agent_id = ?
+            SELECT * FROM triples WHERE subject = ? AND agent_id = ? AND valid_to IS NULL
             ORDER BY updated_at DESC LIMIT ?
         `);
 
         this._getTriplesForObject = this.db.prepare(`
-            SELECT * FROM triples WHERE object = ? AND agent_id = ?
+            SELECT * FROM triples WHERE object = ? AND agent_id = ? AND valid_to IS NULL
             ORDER BY updated_at DESC LIMIT ?
         `);
 
@@ -169,7 +208,11 @@ class GraphStore {
         `);
 
         this._countTriples = this.db.prepare(`
-            SELECT COUNT(*) as count FROM triples WHERE agent_id = ?
+            SELECT COUNT(*) as count FROM triples WHERE agent_id = ? AND valid_to IS NULL
+        `);
+
+        this._countHistoricalTriples = this.db.prepare(`
+            SELECT COUNT(*) as count FROM triples WHERE agent_id = ? AND valid_to IS NOT NULL
         `);
 
         this._recentEntities = this.db.prepare(`
@@ -178,11 +221,25 @@ class GraphStore {
         `);
 
         this._topCooccurrences = this.db.prepare(`
-            SELECT * FROM cooccurrences ORDER BY count DESC LIMIT ?
+            SELECT * FROM cooccurrences WHERE agent_id = ? ORDER BY count DESC LIMIT ?
         `);
 
-        this._deleteTriplesByExchange = this.db.prepare(`
-            DELETE FROM triples WHERE source_exchange_id = ?
+        this._deleteCooccurrences = this.db.prepare(`
+            DELETE FROM cooccurrences WHERE agent_id = ?
+        `);
+
+        this._deleteSourcesByExchange = this.db.prepare(`
+            DELETE FROM triple_sources WHERE exchange_id = ?
+        `);
+
+        this._getTripleIdsForExchange = this.db.prepare(`
+            SELECT DISTINCT triple_id FROM triple_sources WHERE exchange_id = ?
+        `);
+
+        this._deleteTripleIfUnsupported = this.db.prepare(`
+            DELETE FROM triples
+            WHERE id = ?
+                AND NOT EXISTS (SELECT 1 FROM triple_sources ts WHERE ts.triple_id = triples.id)
         `);
 
         // Phase 5: Meta-path pattern statements
@@ -224,10 +281,69 @@ class GraphStore {
      */
     upsertEntity(name, type, agentId) {
         const id = this.normalizeEntityId(name);
-        this._upsertEntity.run(id, name, type || 'CONCEPT', agentId || 'main');
+        const aid = agentId || 'main';
+        this._upsertEntity.run(id, name, type || 'CONCEPT', aid);
+        const gazetteer = this._gazetteers.get(aid);
+        if (gazetteer && !gazetteer.has(id)) this.syncGazetteer(id, aid);
         return id;
     }
 
+    /**
+     * Add aliases to an entity, keeping the ones it already has.
+     *
+     * @param {string} id - Entity ID
+     * @param {string[]} aliases
+     * @returns {boolean} false if the entity does not exist
+     */
+    addAliases(id, aliases) {
+        const existing = this._getEntity.get(id);
+        if (!existing) return false;
+        if (!aliases || aliases.length === 0) return true;
+
+        let current = [];
+        try { current = JSON.parse(existing.aliases || '[]'); } catch { /* */ }
+        const merged = [...new Set([...current, ...aliases])];
+        if (merged.length > current.length) {
+            this._setAliases.run(JSON.stringify(merged), id);
+            this.syncGazetteer(id, existing.agent_id);
+        }
+        return true;
+    }
+
+    /**
+     * Matcher over all of an agent's entity names and aliases.
+     *
+     * @param {string} agentId
+     * @returns {Gazetteer}
+     */
+    gazetteer(agentId) {
+        const aid = agentId || 'main';
+        if (!this._gazetteers.has(aid)) {
+            this._gazetteers.set(aid, Gazetteer.from(this._gazetteerEntities.all(aid)));
+        }
+        return this._gazetteers.get(aid);
+    }
+
+    /**
+     * Bring a loaded gazetteer in line with an entity row after it was
+     * renamed, re-aliased, merged away or deleted. A no-op until the
+     * agent's gazetteer is first used.
+     */
+    syncGazetteer(entityId, agentId) {
+        const gazetteer = this._gazetteers.get(agentId || 'main');
+        if (!gazetteer) return;
+        const row = this._getEntity.get(entityId);
+        if (row && row.agent_id === (agentId || 'main')) gazetteer.add(row);
+        else gazetteer.remove(entityId);
+    }
+
+    /**
+     * Forget an agent's gazetteer; the next use reloads it from the registry.
+     */
+    dropGazetteer(agentId) {
+        this._gazetteers.delete(agentId || 'main');
+    }
+
     /**
      * Look up an entity by normalized ID.
      */
@@ -263,55 +379,168 @@ class GraphStore {
 
     /**
      * Add a triple to the graph. Deduplicates: if the same
-     * (subject, predicate, object) exists, bumps confidence.
+     * (subject, predicate, object) is currently valid, bumps confidence.
+     *
+     * Triples are bitemporal: valid_from/valid_to record when the fact held
+     * in the world (from source dates), recorded_at when we learned it.
+     * A new object for a single-value predicate closes the current triple
+     * (valid_to + superseded_by) instead of deleting it. A fact dated before
+     * the current value is stored as already-superseded history.
+     *
+     * Every call with a sourceExchangeId is recorded in triple_sources,
+     * so restatements keep their evidence even when no row is inserted.
+     * The stored confidence is then re-aggregated from all of that
+     * evidence (see confidence.js); without an exchange it only rises.
+     *
+     * Predicate behavior comes from the registry: inverse names are flipped
+     * to the canonical direction, symmetric predicates match either
+     * direction, and triples whose entity types violate the predicate's
+     * domain/range are skipped.
+     *
+     * Literal objects (`literal`: true to type `object` itself, or
+     * { value, unit, kind }) are stored verbatim with their kind, number
+     * and unit instead of as entity IDs. `qualifiers` ({ quantity, time,
+     * location }) refine a fact without changing its identity.
+     *
+     * Conflicts with an antonym ("likes" vs "dislikes") or a rival value
+     * stated at the same time are settled by the ContradictionDetector:
+     * the loser is closed, or both stay current as a logged dispute.
+     * Closing a disputed triple settles its dispute as superseded.
      */
-    // Predicates that allow multiple values (multi-value, no upsert)
-    static MULTI_VALUE_PREDICATES = new Set(['knows', 'part_of', 'member_of', 'works_on']);
-
-    addTriple({ subject, predicate, object, confidence, sourceExchangeId, sourceDate, agentId, pendingResolution }) {
-        if (!subject || !predicate || !object) {
+    addTriple({ subject, predicate, object, confidence, sourceExchangeId, sourceDate, agentId, pendingResolution, extractor,
+        literal, qualifiers }) {
+        const lit = literal
+            ? literals.toLiteral(literal === true ? object : literal, qualifiers?.unit)
+            : null;
+        if (!subject || !predicate || !(object || lit)) {
             return null; // skip incomplete triples
         }
-        const subjectId = this.normalizeEntityId(subject);
-        const objectId = this.normalizeEntityId(object);
         const aid = agentId || 'main';
+        if (!lit) {
+            ({ subject, predicate, object } = this.predicates.canonicalize({ subject, predicate, object }, aid));
+        }
+        const subjectId = this.normalizeEntityId(subject);
+        const objectId = lit ? literals.literalKey(lit) : this.normalizeEntityId(object);
+        const quals = literals.normalizeQualifiers(qualifiers);
+        const qualsJson = quals ? JSON.stringify(quals) : null;
+
+        // Domain/range check against registered entity types (literals have none)
+        const subjectType = this._getEntity.get(subjectId)?.entity_type;
+        const objectType = lit ? null : this._getEntity.get(objectId)?.entity_type;
+        if (!this.predicates.allowsTypes(predicate, subjectType, objectType, aid)) {
+            return null;
+        }
+        const date = sourceDate || new Date().toISOString().split('T')[0];
+        const recordSource = (tripleId) => {
+            if (sourceExchangeId) {
+                this._insertSource.run(tripleId, sourceExchangeId, date, extractor || 'fast', confidence || 1.0);
+                this._refreshConfidence(tripleId);
+            }
+            return tripleId;
+        };
 
-        // Exact duplicate check (same subject+predicate+object)
-        const exactMatch = this._findTriple.get(subjectId, predicate, objectId, aid);
+        // Exact duplicate check (same subject+predicate+object, still valid)
+        const exactMatch = this._findTriple.get(subjectId, predicate, objectId, aid)
+            || (this.predicates.isSymmetric(predicate, aid)
+                ? this._findTriple.get(objectId, predicate, subjectId, aid)
+                : null);
         if (exactMatch) {
             this._updateTripleConfidence.run(confidence || 1.0, exactMatch.id);
+            if (qualsJson) this._mergeQualifiers.run(qualsJson, exactMatch.id);
+            recordSource(exactMatch.id);
+            this.contradictions.reconsider(exactMatch.id);
             return exactMatch.id;
         }
 
-        // Upsert logic for single-value predicates:
-        // If same subject+predicate exists with DIFFERENT object → replace old triple
-        if (!GraphStore.MULTI_VALUE_PREDICATES.has(predicate)) {
-            const existingRows = this._findTripleBySubjectPredicate.all(subjectId, predicate, aid);
-            for (const row of existingRows) {
-                if (row.object !== objectId) {
-                    this._deleteTriple.run(row.id);
+        // Single-value predicates: the new fact closes whatever other value
+        // held on its date, and ends where the next recorded value begins
+        let toClose = [];
+        let validTo = null;
+        let supersededBy = null;
+        if (!this.predicates.isMultiValued(predicate, aid)) {
+            const history = this._getHistory.all(subjectId, predicate, aid);
+
+            // Restating a value we already hold for that date reinforces its history row
+            const covering = history.find(row => row.object === objectId &&
+                row.valid_from <= date && (row.valid_to === null || row.valid_to > date));
+            if (covering) {
+                this._updateTripleConfidence.run(confidence || 1.0, covering.id);
+                if (qualsJson) this._mergeQualifiers.run(qualsJson, covering.id);
+                recordSource(covering.id);
+                this.contradictions.reconsider(covering.id);
+                return covering.id;
+            }
+
+            const others = history.filter(row => row.object !== objectId && row.valid_from);
+            toClose = others.filter(row =>
+                row.valid_from <= date && (row.valid_to === null || row.valid_to > date));
+            const next = others.find(row => row.valid_from > date);
+            if (next) {
+                validTo = next.valid_from;
+                supersededBy = next.id;
+            }
+        }
+
+        // Rivals still current get a contradiction decision; an antonym on the
+        // same pair is always a rival. Values from the same exchange coexist.
+        const incoming = { date, confidence: confidence || 1.0, exchangeId: sourceExchangeId || null };
+        const rivals = [
+            ...toClose.filter(row => row.valid_to === null).map(row => ({ row, kind: 'single_value' })),
+            ...this.contradictions.antonymRivals(subjectId, predicate, objectId, aid).map(row => ({ row, kind: 'antonym' }))
+        ];
+        toClose = toClose.filter(row => row.valid_to !== null);
+        const logged = [];
+        for (const { row, kind } of rivals) {
+            const decision = this.contradictions.decide(row, incoming, kind);
+            if (decision.outcome === 'supersede') {
+                toClose.push(row);
+            } else if (decision.outcome === 'yield') {
+                // Older by recency: history up to the rival; outvoted: retracted
+                const end = decision.resolution === 'recency' ? row.valid_from : date;
+                if (validTo === null || end < validTo) {
+                    validTo = end;
+                    supersededBy = row.id;
                 }
             }
+            if (decision.logged) logged.push({ row, kind, decision });
         }
 
-        const result = this._insertTriple.run(
-            subjectId,
-            predicate,
-            objectId,
-            confidence || 1.0,
-            sourceExchangeId || null,
-            sourceDate || new Date().toISOString().split('T')[0],
-            aid,
-            pendingResolution ? 1 : 0
-        );
-        return result.lastInsertRowid;
+        const tx = this.db.transaction(() => {
+            const result = this._insertTriple.run(
+                subjectId,
+                predicate,
+                objectId,
+                confidence || 1.0,
+                sourceExchangeId || null,
+                date,
+                aid,
+                pendingResolution ? 1 : 0,
+                date,
+                validTo,
+                supersededBy,
+                lit ? lit.kind : 'entity',
+                lit ? lit.number : null,
+                lit ? lit.unit : null,
+                qualsJson
+            );
+            for (const row of toClose) {
+                this._closeTriple.run(date, result.lastInsertRowid, row.id);
+                this.contradictions.superseded(row.id);
+            }
+            for (const { row, kind, decision } of logged) {
+                this.contradictions.record(aid, kind, row.id, result.lastInsertRowid, decision);
+            }
+            return recordSource(result.lastInsertRowid);
+        });
+        return tx();
     }
 
     /**
      * Write a batch of triples + entities from one exchange.
-     * Wraps in a transaction for atomicity.
+     * Wraps in a transaction for atomicity. Triples may carry `literal`
+     * and `qualifiers` as for addTriple.
      */
-    writeExchange({ entities, triples, cooccurrences, agentId, sourceExchangeId, sourceDate }) {
+    writeExchange({ entities, triples, cooccurrences, agentId, sourceExchangeId, sourceDate, extractor }) {
         const aid = agentId || 'main';
         const date = sourceDate || new Date().toISOString().split('T')[0];
 
@@ -331,7 +560,10 @@ class GraphStore {
                     confidence: triple.confidence,
                     sourceExchangeId,
                     sourceDate: date,
-                    agentId: aid
+                    agentId: aid,
+                    extractor: extractor || 'fast',
+                    literal: triple.literal,
+                    qualifiers: triple.qualifiers
                 });
                 tripleIds.push(id);
             }
@@ -342,7 +574,7 @@ class GraphStore {
                 const bId = this.normalizeEntityId(b);
                 // Always store in sorted order for consistency
                 const sorted = [aId, bId].sort();
-                this._upsertCooccurrence.run(sorted[0], sorted[1]);
+                this._upsertCooccurrence.run(aid, sorted[0], sorted[1]);
             }
 
             return tripleIds;
@@ -353,12 +585,17 @@ class GraphStore {
 
     /**
      * Get triples where an entity appears as subject or object.
+     * Returns currently-valid triples, or those valid on `asOf` when given.
      */
-    getTriplesFor(entityName, agentId, limit) {
+    getTriplesFor(entityName, agentId, limit, asOf) {
         const id = this.normalizeEntityId(entityName);
         const aid = agentId || 'main';
         const lim = limit || 50;
 
+        if (asOf) {
+            return this.queryTriplesAsOf(asOf, { entity: id, agentId: aid, limit: lim });
+        }
+
         const asSubject = this._getTriplesForSubject.all(id, aid, lim);
         const asObject = this._getTriplesForObject.all(id, aid, lim);
 
@@ -375,11 +612,27 @@ class GraphStore {
     }
 
     /**
-     * Get co-occurring entities for a given entity.
+     * Get co-occurring entities for a given entity within an agent's graph.
      */
-    getCooccurrences(entityName, limit) {
+    getCooccurrences(entityName, agentId, limit) {
         const id = this.normalizeEntityId(entityName);
-        return this._getCooccurrences.all(id, id, limit || 20);
+        return this._getCooccurrences.all(agentId || 'main', id, id, limit || 20);
+    }
+
+    /**
+     * Get how often two entities were mentioned together by an agent.
+     */
+    getCooccurrenceCount(entityA, entityB, agentId) {
+        const sorted = [this.normalizeEntityId(entityA), this.normalizeEntityId(entityB)].sort();
+        const row = this._getCooccurrencePair.get(agentId || 'main', sorted[0], sorted[1]);
+        return row ? row.count : 0;
+    }
+
+    /**
+     * Delete an agent's co-occurrence cache (used by rebuilds).
+     */
+    deleteCooccurrences(agentId) {
+        return this._deleteCooccurrences.run(agentId || 'main');
     }
 
     /**
@@ -390,35 +643,282 @@ class GraphStore {
         return {
             entityCount: this._countEntities.get(aid).count,
             tripleCount: this._countTriples.get(aid).count,
+            historicalTripleCount: this._countHistoricalTriples.get(aid).count,
             recentEntities: this._recentEntities.all(aid, 10),
-            topCooccurrences: this._topCooccurrences.all(10)
+            topCooccurrences: this._topCooccurrences.all(aid, 10)
         };
     }
 
     /**
      * Query triples with optional filters.
+     * Returns currently-valid triples, or those valid on `asOf` when given.
+     *
+     * `object` matches an entity name or a literal as stored ("82 kg").
+     * `objectKind` ('entity', 'number', 'date', 'string'), `unit` and
+     * `minValue`/`maxValue` (numeric literals) narrow to typed literals.
+     * `cursor` continues after the last row of a page from queryTriplesPage.
      */
-    queryTriples({ subject, predicate, object, agentId, limit }) {
-        const conditions = [];
+    queryTriples({ subject, predicate, object, agentId, limit, asOf, objectKind, unit, minValue, maxValue, cursor }) {
+        if (asOf) {
+            return this.queryTriplesAsOf(asOf, {
+                subject, predicate, object, agentId, limit, objectKind, unit, minValue, maxValue, cursor
+            });
+        }
+
+        const conditions = ['valid_to IS NULL'];
         const params = [];
 
         if (subject) { conditions.push('subject = ?'); params.push(this.normalizeEntityId(subject)); }
         if (predicate) { conditions.push('predicate = ?'); params.push(predicate); }
-        if (object) { conditions.push('object = ?'); params.push(this.normalizeEntityId(object)); }
+        this._addObjectFilters(conditions, params, { object, objectKind, unit, minValue, maxValue });
         if (agentId) { conditions.push('agent_id = ?'); params.push(agentId); }
+        const after = cursors.decode(cursor, 'triples');
+        if (after) {
+            conditions.push('(updated_at < ? OR (updated_at = ? AND id < ?))');
+            params.push(after[0], after[0], after[1]);
+        }
 
-        const where = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
-        const sql = `SELECT * FROM triples ${where} ORDER BY updated_at DESC LIMIT ?`;
+        const where = 'WHERE ' + conditions.join(' AND ');
+        const sql = `SELECT * FROM triples ${where} ORDER BY updated_at DESC, id DESC LIMIT ?`;
         params.push(limit || 50);
 
         return this.db.prepare(sql).all(...params);
     }
 
     /**
-     * Delete triples for a given exchange (used when re-extracting).
+     * One page of queryTriples, in the same stable order (newest update first,
+     * or newest valid_from first with asOf).
+     *
+     * @param {Object} filters - queryTriples filters, plus cursor
+     * @returns {{ triples: Array, nextCursor: string|null }} nextCursor is null on the last page
+     */
+    queryTriplesPage(filters) {
+        const limit = filters.limit || 50;
+        const rows = this.queryTriples({ ...filters, limit: limit + 1 });
+        const { items, nextCursor } = filters.asOf
+            ? cursors.page(rows, limit, 'triples-asof', t => [t.valid_from, t.updated_at, t.id])
+            : cursors.page(rows, limit, 'triples', t => [t.updated_at, t.id]);
+        return { triples: items, nextCursor };
+    }
+
+    /**
+     * Page through an agent's entities.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.agentId]
+     * @param {string} [options.sort] - name | mentions | lastSeen | firstSeen | importance (default name)
+     * @param {string|string[]} [options.type] - Only these entity types
+     * @param {string} [options.query] - Name or alias contains this text (case-insensitive)
+     * @param {number} [options.minMentions]
+     * @param {number} [options.community] - Only members of this community
+     * @param {number} [options.limit] - Page size (default 50)
+     * @param {string} [options.cursor] - nextCursor of the previous page
+     * @returns {{ entities: Array, nextCursor: string|null }}
+     */
+    listEntities(options) {
+        const opts = options || {};
+        const sortName = opts.sort || 'name';
+        const sort = ENTITY_SORTS[sortName];
+        if (!sort) {
+            throw new Error(`Unknown sort "${sortName}" (expected ${Object.keys(ENTITY_SORTS).join(', ')})`);
+        }
+        const limit = opts.limit || 50;
+        const conditions = ['agent_id = ?'];
+        const params = [opts.agentId || 'main'];
+
+        const types = (Array.isArray(opts.type) ? opts.type : opts.type ? [opts.type] : []);
+        if (types.length > 0) {
+            conditions.push(`entity_type IN (${types.map(() => '?').join(', ')})`);
+            params.push(...types.map(t => String(t).toUpperCase()));
+        }
+        if (opts.query) {
+            const like = `%${String(opts.query).toLowerCase().replace(/[\\%_]/g, c => '\\' + c)}%`;
+            conditions.push("(lower(canonical_name) LIKE ? ESCAPE '\\' OR lower(aliases) LIKE ? ESCAPE '\\')");
+            params.push(like, like);
+        }
+        if (opts.minMentions) { conditions.push('mention_count >= ?'); params.push(opts.minMentions); }
+        if (opts.community !== undefined && opts.community !== null) {
+            conditions.push('community_id = ?');
+            params.push(opts.community);
+        }
+
+        const kind = `entities:${sortName}`;
+        const after = cursors.decode(opts.cursor, kind);
+        if (after) {
+            conditions.push(`(${sort.expr} ${sort.desc ? '<' : '>'} ? OR (${sort.expr} = ? AND id > ?))`);
+            params.push(after[0], after[0], after[1]);
+        }
+
+        const rows = this.db.prepare(`
+            SELECT *, ${sort.expr} AS sort_key FROM entities
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ${sort.expr} ${sort.desc ? 'DESC' : 'ASC'}, id ASC
+            LIMIT ?
+        `).all(...params, limit + 1);
+
+        const { items, nextCursor } = cursors.page(rows, limit, kind, e => [e.sort_key, e.id]);
+        return { entities: items.map(({ sort_key, ...e }) => e), nextCursor };
+    }
+
+    /**
+     * Query triples that were valid on a given date (valid-time travel).
+     * A triple is valid on `date` when valid_from <= date < valid_to.
+     *
+     * @param {string} date - YYYY-MM-DD (or any ISO timestamp)
+     * @param {Object} filters - { subject, predicate, object, entity, agentId, limit,
+     *   objectKind, unit, minValue, maxValue, cursor } (see queryTriples)
+     *   `entity` matches either side and expects an already-normalized ID.
+     * @returns {Array} Triple rows, newest valid_from first
+     */
+    queryTriplesAsOf(date, { subject, predicate, object, entity, agentId, limit,
+        objectKind, unit, minValue, maxValue, cursor } = {}) {
+        const conditions = [
+            'valid_from <= ?',
+            '(valid_to IS NULL OR valid_to > ?)'
+        ];
+        const params = [date, date];
+
+        if (subject) { conditions.push('subject = ?'); params.push(this.normalizeEntityId(subject)); }
+        if (predicate) { conditions.push('predicate = ?'); params.push(predicate); }
+        this._addObjectFilters(conditions, params, { object, objectKind, unit, minValue, maxValue });
+        if (entity) { conditions.push('(subject = ? OR object = ?)'); params.push(entity, entity); }
+        if (agentId) { conditions.push('agent_id = ?'); params.push(agentId); }
+        const after = cursors.decode(cursor, 'triples-asof');
+        if (after) {
+            conditions.push('(valid_from < ? OR (valid_from = ? AND (updated_at < ? OR (updated_at = ? AND id < ?))))');
+            params.push(after[0], after[0], after[1], after[1], after[2]);
+        }
+
+        const sql = `
+            SELECT * FROM triples WHERE ${conditions.join(' AND ')}
+            ORDER BY valid_from DESC, updated_at DESC, id DESC LIMIT ?
+        `;
+        params.push(limit || 50);
+
+        return this.db.prepare(sql).all(...params);
+    }
+
+    /**
+     * Shared object-side WHERE clauses for queryTriples / queryTriplesAsOf.
+     */
+    _addObjectFilters(conditions, params, { object, objectKind, unit, minValue, maxValue }) {
+        if (object) {
+            // Entity objects are stored normalized, literals verbatim
+            const literal = literals.parseLiteral(object);
+            conditions.push('object IN (?, ?)');
+            params.push(this.normalizeEntityId(object), literal ? literals.literalKey(literal) : String(object).trim());
+        }
+        if (objectKind) { conditions.push(`COALESCE(object_kind, 'entity') = ?`); params.push(objectKind); }
+        if (unit) { conditions.push('unit = ?'); params.push(literals.normalizeUnit(unit) || unit); }
+        if (typeof minValue === 'number') { conditions.push('object_number >= ?'); params.push(minValue); }
+        if (typeof maxValue === 'number') { conditions.push('object_number <= ?'); params.push(maxValue); }
+    }
+
+    /**
+     * Get the full value history of a subject+predicate, oldest first.
+     * Closed rows carry valid_to and the id of the triple that superseded them.
+     */
+    getHistory(subject, predicate, agentId) {
+        return this._getHistory.all(
+            this.normalizeEntityId(subject),
+            predicate,
+            agentId || 'main'
+        );
+    }
+
+    /**
+     * Get the evidence list for one or more triples.
+     *
+     * @param {number[]} tripleIds
+     * @returns {Map<number, Array>} tripleId → source rows, oldest first
+     */
+    getTripleSources(tripleIds) {
+        const result = new Map();
+        for (const id of (tripleIds || [])) {
+            result.set(id, this._getSourcesForTriple.all(id));
+        }
+        return result;
+    }
+
+    /**
+     * Delete an exchange's evidence (used when re-extracting).
+     * Triples it supported are only removed once no other exchange does.
      */
     deleteTriplesByExchange(exchangeId) {
-        return this._deleteTriplesByExchange.run(exchangeId);
+        const tx = this.db.transaction(() => {
+            const tripleIds = this._getTripleIdsForExchange.all(exchangeId).map(r => r.triple_id);
+            this._deleteSourcesByExchange.run(exchangeId);
+            let changes = 0;
+            for (const id of tripleIds) {
+                const deleted = this._deleteTripleIfUnsupported.run(id).changes;
+                if (deleted === 0) this._refreshConfidence(id); // remaining evidence only
+                changes += deleted;
+            }
+            return { changes };
+        });
+        return tx();
+    }
+
+    /**
+     * Re-aggregate one triple's confidence from its provenance rows, then
+     * apply the decay owed since its last reinforcement.
+     * Leaves triples without evidence untouched.
+     *
+     * @returns {number|null} New confidence
+     */
+    _refreshConfidence(tripleId, policy) {
+        const aggregated = confidenceAggregation.aggregate(
+            this._getSourcesForTriple.all(tripleId),
+            policy || this.confidencePolicy
+        );
+        if (aggregated === null) return null;
+        const now = GraphStore._sqlNow();
+        const row = this._getSinceReinforced.get(now, tripleId);
+        const halfLife = this._halfLifeFor(row.predicate, row.agent_id);
+        const value = this._decayed(aggregated, row.elapsed_days, halfLife);
+        this._setTripleConfidence.run(value, value < aggregated ? now : null, tripleId);
+        return value;
+    }
+
+    /**
+     * Recompute every evidenced triple's confidence for an agent, e.g. after
+     * changing the aggregation strategy or extractor priors.
+     *
+     * @param {string} agentId
+     * @param {Object} [policyOverrides] - Partial config.confidence to use instead of the configured one
+     * @returns {{ strategy: string, triples: number, changed: number }}
+     */
+    recomputeConfidence(agentId, policyOverrides) {
+        const aid = agentId || 'main';
+        const overrides = Object.fromEntries(
+            Object.entries(policyOverrides || {}).filter(([, v]) => v !== undefined && v !== null)
+        );
+        const policy = confidenceAggregation.normalizePolicy({
+            ...this.confidencePolicy,
+            ...overrides,
+            extractorPriors: { ...this.confidencePolicy.extractorPriors, ...(overrides.extractorPriors || {}) }
+        });
+        const tx = this.db.transaction(() => {
+            const rows = this._getSupportedTripleIds.all(aid);
+            let changed = 0;
+            for (const row of rows) {
+                const value = this._refreshConfidence(row.id, policy);
+                if (value !== null && Math.abs(value - row.confidence) > 1e-9) changed++;
+            }
+            return { strategy: policy.strategy, triples: rows.length, changed };
+        });
+        return tx();
+    }
+
+    /**
+     * Describe the schema version, applied migrations and backups.
+     */
+    getSchemaInfo() {
+        return {
+            dbPath: this.dbPath,
+            ...migrations.describe(this.db, this.dbPath),
+            lastMigration: this.migrationReport
+        };
     }
 
     /**
@@ -483,28 +983,118 @@ class GraphStore {
         return this._deactivatePattern.run(patternId);
     }
 
+    // Decay never pushes confidence below this (nor touches triples already there)
+    static DECAY_FLOOR = 0.1;
+
+    static _sqlNow() {
+        return new Date().toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    _halfLifeFor(predicate, agentId, fallback) {
+        return this.predicates.get(predicate, agentId).halfLifeDays || fallback || this.halfLifeDays;
+    }
+
+    /**
+     * Exponential decay: value · 0.5^(elapsed / halfLife), floored at DECAY_FLOOR.
+     */
+    _decayed(value, elapsedDays, halfLifeDays) {
+        if (value <= GraphStore.DECAY_FLOOR || !(elapsedDays > 0)) return value;
+        return Math.max(GraphStore.DECAY_FLOOR, value * Math.pow(0.5, elapsedDays / halfLifeDays));
+    }
+
+    /**
+     * Work out the decay owed by every current triple at `now`.
+     *
+     * @returns {Array<{id, subject, predicate, object, before, after, elapsedDays, halfLifeDays}>}
+     *   Only triples whose confidence would actually drop
+     */
+    _planDecay(agentId, halfLifeDays, now) {
+        const aid = agentId || 'main';
+        const plan = [];
+        for (const row of this._getDecayCandidates.all(now, aid, GraphStore.DECAY_FLOOR)) {
+            const halfLife = this._halfLifeFor(row.predicate, aid, halfLifeDays);
+            const after = this._decayed(row.confidence, row.elapsed_days, halfLife);
+            if (row.confidence - after < 1e-6) continue;
+            plan.push({
+                id: row.id,
+                subject: row.subject,
+                predicate: row.predicate,
+                object: row.object,
+                before: row.confidence,
+                after,
+                elapsedDays: row.elapsed_days,
+                halfLifeDays: halfLife
+            });
+        }
+        return plan;
+    }
+
     /**
-     * Decay confidence of stale triples.
-     * Triples not updated within halfLifeDays lose confidence via exponential decay.
-     * Only affects triples older than halfLifeDays to avoid touching recent data.
+     * Decay confidence of triples that have not been reinforced.
+     * Confidence halves every half-life of elapsed time since the triple
+     * was last reinforced (or last decayed), so the result depends only on
+     * time passed, not on how often this runs. Half-lives come from the
+     * predicate registry (halfLifeDays), falling back to `halfLifeDays`.
      *
      * @param {string} agentId
-     * @param {number} halfLifeDays - Days until confidence halves (default 90)
+     * @param {number} [halfLifeDays] - Fallback half-life (default: the store's, 90)
      * @returns {{ changes: number }} Number of triples decayed
      */
-    decayStaleTriples(agentId, halfLifeDays = 90) {
-        const aid = agentId || 'main';
-        // Calculate days since updated for each triple, apply exponential decay
-        // Only touch triples older than halfLifeDays and with confidence > 0.1
-        const result = this.db.prepare(`
-            UPDATE triples
-            SET confidence = confidence * 0.5,
-                updated_at = updated_at
-            WHERE agent_id = ?
-                AND confidence > 0.1
-                AND julianday('now') - julianday(updated_at) > ?
-        `).run(aid, halfLifeDays);
-        return { changes: result.changes };
+    decayStaleTriples(agentId, halfLifeDays) {
+        const now = GraphStore._sqlNow();
+        const plan = this._planDecay(agentId, halfLifeDays, now);
+        const tx = this.db.transaction(() => {
+            for (const item of plan) {
+                this._applyDecay.run(item.after, now, item.id);
+            }
+        });
+        tx();
+        return { changes: plan.length };
+    }
+
+    /**
+     * Dry run of decayStaleTriples: what decay would do at `at` (default now),
+     * without writing anything.
+     *
+     * @param {string} agentId
+     * @param {Object} [options]
+     * @param {number} [options.halfLifeDays] - Fallback half-life
+     * @param {string} [options.at] - Date/time to project to (YYYY-MM-DD or ISO)
+     * @param {number} [options.threshold] - Report triples that would fall below this (e.g. contextInjection.minConfidence)
+     * @param {number} [options.limit] - Largest drops to list (default 20)
+     */
+    previewDecay(agentId, options) {
+        const opts = options || {};
+        const at = opts.at
+            ? new Date(opts.at).toISOString().replace('T', ' ').slice(0, 19)
+            : GraphStore._sqlNow();
+        const plan = this._planDecay(agentId, opts.halfLifeDays, at);
+        const threshold = typeof opts.threshold === 'number' ? opts.threshold : null;
+
+        const byPredicate = {};
+        for (const item of plan) {
+            const p = byPredicate[item.predicate] ||
+                (byPredicate[item.predicate] = { count: 0, halfLifeDays: item.halfLifeDays, avgBefore: 0, avgAfter: 0 });
+            p.count++;
+            p.avgBefore += item.before;
+            p.avgAfter += item.after;
+        }
+        for (const p of Object.values(byPredicate)) {
+            p.avgBefore = Math.round((p.avgBefore / p.count) * 1000) / 1000;
+            p.avgAfter = Math.round((p.avgAfter / p.count) * 1000) / 1000;
+        }
+
+        return {
+            at,
+            affected: plan.length,
+            fallingBelowThreshold: threshold === null ? null
+                : plan.filter(i => i.before >= threshold && i.after < threshold).length,
+            threshold,
+            byPredicate,
+            largestDrops: [...plan]
+                .sort((a, b) => (b.before - b.after) - (a.before - a.after))
+                .slice(0, opts.limit || 20)
+        };
     }
 
     /**
@@ -518,7 +1108,7 @@ class GraphStore {
                    COUNT(DISTINCT subject) as unique_subjects,
                    COUNT(DISTINCT object) as unique_objects,
                    AVG(confidence) as avg_confidence
-            FROM triples WHERE agent_id = ?
+            FROM triples WHERE agent_id = ? AND valid_to IS NULL
             GROUP BY predicate
             ORDER BY cnt DESC
         `).all(aid);
@@ -527,15 +1117,15 @@ class GraphStore {
     /**
      * Delete triples whose predicate has a TTL configured and whose
      * created_at is older than the TTL. Only predicates WITH a
-     * predicateTTLDays entry are ever deleted — all others are permanent.
+     * TTL (ttlDays) are ever deleted — all others are permanent.
      *
      * @param {string} agentId
-     * @param {Object} ttlConfig - Map of predicate → days (from config.extraction.predicateTTLDays)
+     * @param {Object} [ttlConfig] - Map of predicate → days (defaults to the predicate registry's TTLs)
      * @returns {{ deleted: number, details: Object }}
      */
     cleanupExpiredTriples(agentId, ttlConfig) {
         const aid = agentId || 'main';
-        const cfg = ttlConfig || {};
+        const cfg = ttlConfig || this.predicates.ttlMap(aid);
         let totalDeleted = 0;
         const details = {};
 
@@ -0,0 +1,233 @@
+/**
+ * Importance — Centrality scores for entities.
+ *
+ * Raw mention_count rewards whatever is talked about most, so the user and
+ * a few other hubs outrank everything. This job scores each entity by its
+ * place in the graph instead, over current entity-to-entity triples taken
+ * as undirected edges weighted by confidence:
+ *
+ *   pagerank     weighted PageRank (power iteration)
+ *   degree       number of distinct neighbours
+ *   betweenness  Brandes betweenness, approximated from a deterministic
+ *                sample of source nodes and scaled up
+ *
+ * importance blends the three, each normalized to 0–1 (degree on a log
+ * scale), with the configured weights. Scores are written to the entities
+ * table by the nightshift graph-enrichment task and read by the searcher,
+ * context builder, entity resolver and gap detection.
+ */
+
+const DEFAULT_WEIGHTS = { pagerank: 0.5, betweenness: 0.3, degree: 0.2 };
+
+function maxOf(values) {
+    let max = 0;
+    for (const v of values) if (v > max) max = v;
+    return max;
+}
+
+class Importance {
+    /**
+     * @param {GraphStore} store
+     * @param {Object} [config] - importance config section
+     */
+    constructor(store, config) {
+        this.store = store;
+        this.config = config || {};
+        this.damping = this.config.damping ?? 0.85;
+        this.maxIterations = this.config.maxIterations || 50;
+        this.tolerance = this.config.tolerance ?? 1e-6;
+        this.betweennessSamples = this.config.betweennessSamples || 64;
+        this.weights = { ...DEFAULT_WEIGHTS, ...(this.config.weights || {}) };
+
+        this._update = this.store.db.prepare(`
+            UPDATE entities
+            SET pagerank = ?, degree = ?, betweenness = ?, importance = ?, importance_at = datetime('now')
+            WHERE id = ? AND agent_id = ?
+        `);
+    }
+
+    /**
+     * Compute scores for every entity of an agent and store them.
+     *
+     * @param {string} agentId
+     * @returns {{ nodes: number, edges: number, iterations: number, updated: number }}
+     */
+    compute(agentId) {
+        const aid = agentId || 'main';
+        const { nodes, adjacency, edges } = Importance.loadGraph(this.store.db, aid);
+        if (nodes.length === 0) return { nodes: 0, edges: 0, iterations: 0, updated: 0 };
+
+        const { rank, iterations } = this.pageRank(nodes, adjacency);
+        const betweenness = this.betweenness(nodes, adjacency);
+
+        const maxRank = maxOf(rank.values());
+        const maxDegree = maxOf(nodes.map(n => adjacency.get(n).size));
+        const maxBetweenness = maxOf(betweenness.values());
+        const w = this.weights;
+        const total = (w.pagerank + w.betweenness + w.degree) || 1;
+
+        let updated = 0;
+        const tx = this.store.db.transaction(() => {
+            for (const node of nodes) {
+                const degree = adjacency.get(node).size;
+                const score = (
+                    w.pagerank * (maxRank > 0 ? rank.get(node) / maxRank : 0) +
+                    w.betweenness * (maxBetweenness > 0 ? betweenness.get(node) / maxBetweenness : 0) +
+                    w.degree * (maxDegree > 0 ? Math.log1p(degree) / Math.log1p(maxDegree) : 0)
+                ) / total;
+                updated += this._update.run(
+                    rank.get(node), degree, betweenness.get(node), score, node, aid
+                ).changes;
+            }
+        });
+        tx();
+
+        return { nodes: nodes.length, edges, iterations, updated };
+    }
+
+    /**
+     * Weighted PageRank over an undirected graph. Dangling nodes spread
+     * their rank evenly.
+     *
+     * @param {string[]} nodes
+     * @param {Map<string, Map<string, number>>} adjacency - node → neighbour → weight
+     * @returns {{ rank: Map<string, number>, iterations: number }}
+     */
+    pageRank(nodes, adjacency) {
+        const n = nodes.length;
+        const d = this.damping;
+        const strength = new Map(nodes.map(v => [v, [...adjacency.get(v).values()].reduce((a, b) => a + b, 0)]));
+        let rank = new Map(nodes.map(v => [v, 1 / n]));
+
+        let iterations = 0;
+        while (iterations < this.maxIterations) {
+            iterations++;
+            let dangling = 0;
+            for (const v of nodes) if (strength.get(v) === 0) dangling += rank.get(v);
+
+            const next = new Map();
+            for (const v of nodes) {
+                let incoming = 0;
+                for (const [u, weight] of adjacency.get(v)) {
+                    incoming += rank.get(u) * weight / strength.get(u);
+                }
+                next.set(v, (1 - d) / n + d * (incoming + dangling / n));
+            }
+
+            let delta = 0;
+            for (const v of nodes) delta += Math.abs(next.get(v) - rank.get(v));
+            rank = next;
+            if (delta < this.tolerance) break;
+        }
+        return { rank, iterations };
+    }
+
+    /**
+     * Approximate betweenness: Brandes' accumulation from up to
+     * betweennessSamples evenly spaced sources, scaled by n / samples.
+     *
+     * @returns {Map<string, number>}
+     */
+    betweenness(nodes, adjacency) {
+        const scores = new Map(nodes.map(v => [v, 0]));
+        const sorted = [...nodes].sort();
+        const k = Math.min(this.betweennessSamples, sorted.length);
+        const stride = sorted.length / k;
+
+        for (let i = 0; i < k; i++) {
+            const source = sorted[Math.floor(i * stride)];
+            const stack = [];
+            const preds = new Map();
+            const sigma = new Map([[source, 1]]);
+            const dist = new Map([[source, 0]]);
+            const queue = [source];
+            for (let head = 0; head < queue.length; head++) {
+                const v = queue[head];
+                stack.push(v);
+                for (const w of adjacency.get(v).keys()) {
+                    if (!dist.has(w)) {
+                        dist.set(w, dist.get(v) + 1);
+                        queue.push(w);
+                    }
+                    if (dist.get(w) === dist.get(v) + 1) {
+                        sigma.set(w, (sigma.get(w) || 0) + sigma.get(v));
+                        if (!preds.has(w)) preds.set(w, []);
+                        preds.get(w).push(v);
+                    }
+                }
+            }
+
+            const delta = new Map();
+            while (stack.length > 0) {
+                const w = stack.pop();
+                for (const v of (preds.get(w) || [])) {
+                    const share = (sigma.get(v) / sigma.get(w)) * (1 + (delta.get(w) || 0));
+                    delta.set(v, (delta.get(v) || 0) + share);
+                }
+                if (w !== source) scores.set(w, scores.get(w) + (delta.get(w) || 0));
+            }
+        }
+
+        // Undirected: every pair was counted from both ends
+        const scale = sorted.length / k / 2;
+        for (const v of nodes) scores.set(v, scores.get(v) * scale);
+        return scores;
+    }
+
+    /**
+     * Highest-importance entities.
+     *
+     * @param {string} agentId
+     * @param {number} [limit=20]
+     */
+    top(agentId, limit) {
+        return this.store.db.prepare(`
+            SELECT id, canonical_name, entity_type, mention_count,
+                   pagerank, degree, betweenness, importance, importance_at
+            FROM entities
+            WHERE agent_id = ? AND importance IS NOT NULL
+            ORDER BY importance DESC
+            LIMIT ?
+        `).all(agentId || 'main', limit || 20);
+    }
+
+    /**
+     * The agent's entity graph: registered entities plus every entity-valued
+     * triple endpoint, undirected, with parallel triples between a pair
+     * merged (strongest confidence). Shared with community detection.
+     *
+     * @returns {{ nodes: string[], adjacency: Map<string, Map<string, number>>, edges: number }}
+     */
+    static loadGraph(db, agentId) {
+        const adjacency = new Map();
+        const node = (id) => {
+            if (!adjacency.has(id)) adjacency.set(id, new Map());
+            return adjacency.get(id);
+        };
+
+        for (const e of db.prepare('SELECT id FROM entities WHERE agent_id = ?').all(agentId)) {
+            node(e.id);
+        }
+
+        const triples = db.prepare(`
+            SELECT subject, object, confidence FROM triples
+            WHERE agent_id = ? AND valid_to IS NULL
+                AND COALESCE(object_kind, 'entity') = 'entity'
+                AND subject != object
+        `).all(agentId);
+
+        let edges = 0;
+        for (const t of triples) {
+            const weight = t.confidence ?? 1.0;
+            const a = node(t.subject);
+            const b = node(t.object);
+            if (!a.has(t.object)) edges++;
+            a.set(t.object, Math.max(a.get(t.object) || 0, weight));
+            b.set(t.subject, Math.max(b.get(t.subject) || 0, weight));
+        }
+
+        return { nodes: [...adjacency.keys()], adjacency, edges };
+    }
+}
+
+module.exports = Importance;
@@ -0,0 +1,356 @@
+/**
+ * Link Prediction — Suggest relationships the graph is probably missing.
+ *
+ * Candidates are unlinked entity pairs two steps apart. Each pair is scored
+ * from three kinds of evidence over current entity-to-entity triples:
+ *
+ *   commonNeighbors  how many entities both are linked to
+ *   adamicAdar       the same, with each shared neighbour counted as
+ *                    1 / log(degree), so hubs say little
+ *   metaPath         the strongest active two-step meta_patterns path
+ *                    between them (pattern weight × path confidences)
+ *
+ * The predicate comes from role substitution: if Dan knows Eve and Eve
+ * works_on Fenrir, Dan taking Eve's place gives "Dan works_on Fenrir".
+ * Substitutions between entities of different types count less, proposals
+ * must pass the registry's type checks, and a single-valued predicate is
+ * never proposed for a subject that already has a value. When only generic
+ * related_to evidence remains the question asks how the two are connected.
+ *
+ * Suggestions become gap questions for contemplation during nightshift and
+ * are listed by graph.suggestLinks. Accepting one writes it as a manual
+ * (confirmed) triple; rejecting one keeps it from being suggested again.
+ */
+
+const GENERIC_PREDICATE = 'related_to';
+const UNTYPED = 'CONCEPT';
+const DEFAULT_WEIGHTS = { adamicAdar: 0.5, commonNeighbors: 0.2, metaPath: 0.3 };
+
+class LinkPrediction {
+    /**
+     * @param {GraphStore} store
+     * @param {Object} [config] - linkPrediction config section
+     */
+    constructor(store, config) {
+        this.store = store;
+        this.config = config || {};
+        this.minScore = this.config.minScore ?? 0.4;
+        this.minConfidence = this.config.minConfidence ?? 0.6;
+        this.maxDegree = this.config.maxDegree || 100;
+        this.mismatchedTypeWeight = this.config.mismatchedTypeWeight ?? 0.25;
+        this.weights = { ...DEFAULT_WEIGHTS, ...(this.config.weights || {}) };
+
+        this._getDecision = this.store.db.prepare(`
+            SELECT decision FROM link_decisions
+            WHERE agent_id = ? AND subject = ? AND predicate = ? AND object = ?
+        `);
+        this._saveDecision = this.store.db.prepare(`
+            INSERT INTO link_decisions (agent_id, subject, predicate, object, decision, triple_id)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(agent_id, subject, predicate, object) DO UPDATE SET
+                decision = excluded.decision,
+                triple_id = excluded.triple_id,
+                decided_at = datetime('now')
+        `);
+    }
+
+    /**
+     * Score missing links.
+     *
+     * @param {string} agentId
+     * @param {Object} [options] - { entity: only pairs involving this entity,
+     *   predicate: only suggestions with this predicate, limit, minScore }
+     * @returns {Array<{ subject, subjectName, predicate, object, objectName, score, evidence, question }>}
+     */
+    suggest(agentId, options) {
+        const opts = options || {};
+        const aid = agentId || 'main';
+        const focus = opts.entity ? this.store.normalizeEntityId(opts.entity) : null;
+        const minScore = opts.minScore ?? this.minScore;
+        const { adjacency, entities } = this._loadGraph(aid);
+        const steps = this._patternSteps(aid);
+        const pairs = new Map(); // "x|y" (x < y) → evidence
+
+        for (const [via, neighbours] of adjacency) {
+            const degree = neighbours.size;
+            if (degree < 2 || degree > this.maxDegree) continue;
+            const contribution = 1 / Math.log(degree);
+            const members = [...neighbours.keys()].sort();
+
+            for (let i = 0; i < members.length; i++) {
+                for (let j = i + 1; j < members.length; j++) {
+                    const x = members[i];
+                    const y = members[j];
+                    if (focus && x !== focus && y !== focus) continue;
+                    if (adjacency.get(x).has(y)) continue;
+
+                    const key = `${x}|${y}`;
+                    if (!pairs.has(key)) {
+                        pairs.set(key, {
+                            x, y, commonNeighbors: 0, adamicAdar: 0, metaPath: 0,
+                            via: [], patterns: [], votes: new Map()
+                        });
+                    }
+                    const pair = pairs.get(key);
+                    const ex = neighbours.get(x); // via's edges to x, read from via's side
+                    const ey = neighbours.get(y);
+                    pair.commonNeighbors++;
+                    pair.adamicAdar += contribution;
+                    pair.via.push({ id: via, contribution });
+
+                    // x takes via's place towards y, and y towards x
+                    this._substitute(pair, x, via, ey, contribution, entities);
+                    this._substitute(pair, y, via, ex, contribution, entities);
+
+                    for (const { predicates, weight, first, second } of steps) {
+                        for (const [a, b] of [[ex, ey], [ey, ex]]) {
+                            const score = this._matchPath(a, b, first, second) * weight;
+                            if (score > 0) {
+                                if (score > pair.metaPath) pair.metaPath = Math.min(1, score);
+                                if (!pair.patterns.some(p => p.join() === predicates.join())) pair.patterns.push(predicates);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        const w = this.weights;
+        const total = (w.adamicAdar + w.commonNeighbors + w.metaPath) || 1;
+        const suggestions = [];
+        for (const pair of pairs.values()) {
+            const score = (
+                w.adamicAdar * (1 - Math.exp(-pair.adamicAdar)) +
+                w.commonNeighbors * (pair.commonNeighbors / (pair.commonNeighbors + 1)) +
+                w.metaPath * pair.metaPath
+            ) / total;
+            if (score < minScore) continue;
+
+            const proposal = this._choose(pair, aid, opts.predicate);
+            if (!proposal) continue;
+
+            const nameOf = (id) => entities.get(id)?.canonical_name || id;
+            suggestions.push({
+                subject: proposal.subject,
+                subjectName: nameOf(proposal.subject),
+                predicate: proposal.predicate,
+                object: proposal.object,
+                objectName: nameOf(proposal.object),
+                score,
+                evidence: {
+                    commonNeighbors: pair.commonNeighbors,
+                    adamicAdar: pair.adamicAdar,
+                    metaPath: pair.metaPath,
+                    via: pair.via.sort((a, b) => b.contribution - a.contribution).slice(0, 3).map(v => nameOf(v.id)),
+                    patterns: pair.patterns
+                },
+                question: this.question(nameOf(proposal.subject), proposal.predicate, nameOf(proposal.object), aid)
+            });
+        }
+
+        suggestions.sort((a, b) => b.score - a.score || (a.subject + a.object < b.subject + b.object ? -1 : 1));
+        return suggestions.slice(0, opts.limit || 20);
+    }
+
+    /**
+     * Write a suggestion as a confirmed triple (manual evidence).
+     *
+     * @param {string} agentId
+     * @param {{ subject: string, predicate: string, object: string, confidence?: number }} link
+     * @returns {{ tripleId: number }}
+     */
+    accept(agentId, link) {
+        const aid = agentId || 'main';
+        const { subject, predicate, object } = this._normalizeLink(link, aid);
+        const tripleId = this.store.addTriple({
+            subject,
+            predicate,
+            object,
+            confidence: link.confidence ?? 0.95,
+            sourceExchangeId: `link-prediction:${Date.now()}`,
+            extractor: 'manual',
+            agentId: aid
+        });
+        if (!tripleId) {
+            throw new Error(`${predicate} does not allow ${subject} → ${object} (entity types)`);
+        }
+        this._saveDecision.run(aid, subject, predicate, object, 'accepted', tripleId);
+        return { tripleId };
+    }
+
+    /**
+     * Record that a suggested link is wrong so it is not suggested again.
+     */
+    reject(agentId, link) {
+        const aid = agentId || 'main';
+        const { subject, predicate, object } = this._normalizeLink(link, aid);
+        this._saveDecision.run(aid, subject, predicate, object, 'rejected', null);
+        return { subject, predicate, object };
+    }
+
+    /**
+     * Turn a link into a yes/no question from the predicate's template
+     * ("works on {object}" → "Does Dan work on Fenrir?").
+     */
+    question(subjectName, predicate, objectName, agentId) {
+        if (predicate === GENERIC_PREDICATE) {
+            return `How is ${subjectName} connected to ${objectName}?`;
+        }
+        const clause = this.store.predicates.clause(predicate, objectName, agentId);
+        const [verb, ...rest] = clause.split(' ');
+        const tail = rest.length > 0 ? ` ${rest.join(' ')}` : '';
+
+        if (verb === 'is') return `Is ${subjectName}${tail}?`;
+        if (verb === 'has') return `Does ${subjectName} have${tail}?`;
+        if (/[^s]s$/.test(verb) || /ses$/.test(verb)) {
+            const base = verb.endsWith('ies') ? verb.slice(0, -3) + 'y'
+                : /(ss|sh|ch|x)es$/.test(verb) ? verb.slice(0, -2)
+                    : verb.slice(0, -1);
+            return `Does ${subjectName} ${base}${tail}?`;
+        }
+        return `Is it true that ${subjectName} ${clause}?`;
+    }
+
+    /**
+     * Vote for `candidate` taking `via`'s role in each of via's edges to `other`.
+     */
+    _substitute(pair, candidate, via, viaEdges, contribution, entities) {
+        const other = candidate === pair.x ? pair.y : pair.x;
+        const candidateType = entities.get(candidate)?.entity_type;
+        const viaType = entities.get(via)?.entity_type;
+        const sameKind = !candidateType || !viaType || candidateType === UNTYPED || viaType === UNTYPED ||
+            candidateType === viaType;
+
+        for (const edge of viaEdges) {
+            const subject = edge.out ? candidate : other;
+            const object = edge.out ? other : candidate;
+            let vote = contribution * edge.confidence * (sameKind ? 1 : this.mismatchedTypeWeight);
+            if (edge.predicate === GENERIC_PREDICATE) vote *= 0.5;
+            const key = `${subject}|${edge.predicate}|${object}`;
+            pair.votes.set(key, (pair.votes.get(key) || 0) + vote);
+        }
+    }
+
+    /**
+     * Best-voted proposal for a pair that is type-valid, not rejected and
+     * does not clash with a single-valued fact already held.
+     */
+    _choose(pair, agentId, onlyPredicate) {
+        const registry = this.store.predicates;
+        const ranked = [...pair.votes.entries()].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1));
+        for (const [key] of ranked) {
+            const [subject, predicate, object] = key.split('|');
+            if (onlyPredicate && predicate !== onlyPredicate) continue;
+            if (this._getDecision.get(agentId, subject, predicate, object)) continue;
+            const subjectType = this.store.getEntity(subject)?.entity_type;
+            const objectType = this.store.getEntity(object)?.entity_type;
+            if (!registry.allowsTypes(predicate, subjectType, objectType, agentId)) continue;
+            if (!registry.isMultiValued(predicate, agentId) &&
+                this.store.queryTriples({ subject, predicate, agentId, limit: 1 }).length > 0) continue;
+            return { subject, predicate, object };
+        }
+        return null;
+    }
+
+    /**
+     * Score of the best two-step path through via that follows (first,
+     * second): in over one of fromEdges, out over one of otherEdges. 0 if none.
+     */
+    _matchPath(fromEdges, otherEdges, first, second) {
+        let best = 0;
+        for (const a of fromEdges) {
+            if (!this._follows(a, first, true)) continue;
+            for (const b of otherEdges) {
+                if (!this._follows(b, second, false)) continue;
+                best = Math.max(best, a.confidence * b.confidence);
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Does an edge read from via's side match a pattern step? With
+     * `towardsVia` the step is walked from the far end into via.
+     */
+    _follows(edge, step, towardsVia) {
+        if (edge.predicate !== step.predicate) return false;
+        if (step.direction === 'both') return true;
+        const out = towardsVia ? !edge.out : edge.out;
+        return step.direction === (out ? 'out' : 'in');
+    }
+
+    /**
+     * Active two-step meta-path patterns as oriented steps.
+     */
+    _patternSteps(agentId) {
+        const registry = this.store.predicates;
+        const resolve = (predicate) => {
+            if (registry.isSymmetric(predicate, agentId)) return { predicate, direction: 'both' };
+            const { predicate: forward, flipped } = registry.canonicalize({ predicate }, agentId);
+            return { predicate: forward, direction: flipped ? 'in' : 'out' };
+        };
+        return this.store.getActivePatterns(agentId)
+            .filter(p => p.predicates && p.predicates.length === 2)
+            .map(p => ({
+                predicates: p.predicates,
+                weight: p.weight ?? 1.0,
+                first: resolve(p.predicates[0]),
+                second: resolve(p.predicates[1])
+            }));
+    }
+
+    /**
+     * Current entity-to-entity triples as an undirected neighbour map:
+     * adjacency.get(a).get(b) lists the edges between a and b read from a's
+     * side (out: a is the subject). Every pair that is linked at all counts
+     * as linked; only triples at or above minConfidence count as evidence.
+     *
+     * @returns {{ adjacency: Map<string, Map<string, Array<{ predicate, out, confidence }>>>, entities: Map }}
+     */
+    _loadGraph(agentId) {
+        const db = this.store.db;
+        const entities = new Map(
+            db.prepare('SELECT id, canonical_name, entity_type FROM entities WHERE agent_id = ?')
+                .all(agentId).map(e => [e.id, e])
+        );
+        const adjacency = new Map();
+        const link = (a, b) => {
+            if (!adjacency.has(a)) adjacency.set(a, new Map());
+            const neighbours = adjacency.get(a);
+            if (!neighbours.has(b)) neighbours.set(b, []);
+            return neighbours.get(b);
+        };
+
+        const triples = db.prepare(`
+            SELECT subject, predicate, object, confidence FROM triples
+            WHERE agent_id = ? AND valid_to IS NULL
+                AND COALESCE(object_kind, 'entity') = 'entity'
+                AND subject != object
+        `).all(agentId);
+
+        for (const t of triples) {
+            const confidence = t.confidence ?? 1.0;
+            const fromSubject = link(t.subject, t.object);
+            const fromObject = link(t.object, t.subject);
+            if (confidence < this.minConfidence) continue;
+            fromSubject.push({ predicate: t.predicate, out: true, confidence });
+            fromObject.push({ predicate: t.predicate, out: false, confidence });
+        }
+
+        return { adjacency, entities };
+    }
+
+    _normalizeLink(link, agentId) {
+        if (!link?.subject || !link?.predicate || !link?.object) {
+            throw new Error('Missing subject, predicate or object');
+        }
+        const canonical = this.store.predicates.canonicalize(link, agentId);
+        return {
+            subject: this.store.normalizeEntityId(canonical.subject),
+            predicate: canonical.predicate,
+            object: this.store.normalizeEntityId(canonical.object)
+        };
+    }
+}
+
+module.exports = LinkPrediction;
@@ -0,0 +1,178 @@
+/**
+ * Literals — Typed literal objects for triples.
+ *
+ * Most triple objects are entities ("Vector knows Dan"). Measurements,
+ * amounts and dates are literals instead ("Vector weighs 82 kg"): they are
+ * stored verbatim rather than normalized into entity IDs, with their kind
+ * (number, date, string), numeric value and unit kept in their own columns
+ * so they can be compared and charted over time.
+ *
+ * Triples of either kind may carry qualifiers — quantity, time, location —
+ * that refine the fact without being part of its identity.
+ */
+
+// Spelled-out and plural units → canonical short form
+const UNIT_ALIASES = {
+    kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+    g: 'g', gram: 'g', grams: 'g',
+    lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+    km: 'km', kilometer: 'km', kilometers: 'km', kilometre: 'km', kilometres: 'km',
+    m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm',
+    cm: 'cm', mi: 'mi', mile: 'mi', miles: 'mi',
+    s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+    min: 'min', mins: 'min', minute: 'min', minutes: 'min',
+    h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+    day: 'd', days: 'd', week: 'wk', weeks: 'wk',
+    kcal: 'kcal', cal: 'kcal', calorie: 'kcal', calories: 'kcal',
+    l: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l', ml: 'ml',
+    bpm: 'bpm', steps: 'steps', reps: 'reps',
+    '%': '%', percent: '%',
+    '€': 'EUR', eur: 'EUR', euro: 'EUR', euros: 'EUR',
+    '$': 'USD', usd: 'USD', dollar: 'USD', dollars: 'USD'
+};
+
+const QUALIFIER_KEYS = ['quantity', 'time', 'location'];
+
+const NUMBER_RE = /^([-+]?\d+(?:[.,]\d+)?)\s*([a-zA-Z%€$]+)?$/;
+const CURRENCY_PREFIX_RE = /^([€$])\s*(\d+(?:[.,]\d+)?)$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+Z?)?$/;
+
+/**
+ * Canonical form of a unit, or null when it isn't a known unit.
+ */
+function normalizeUnit(unit) {
+    if (unit === null || unit === undefined || unit === '') return null;
+    return UNIT_ALIASES[String(unit).trim().toLowerCase()] || null;
+}
+
+function formatNumber(n) {
+    return String(Math.round(n * 1000) / 1000);
+}
+
+/**
+ * Recognize a literal in free text: "82 kg", "45 minutes", "$20", "2026-10-01", "7".
+ * Numbers with an unknown unit ("3 musketeers") are not literals.
+ *
+ * @returns {{ kind: string, value: string, number: number|null, unit: string|null }|null}
+ */
+function parseLiteral(text) {
+    const s = String(text ?? '').trim();
+    if (!s) return null;
+
+    if (DATE_RE.test(s)) {
+        return { kind: 'date', value: s.slice(0, 10), number: null, unit: null };
+    }
+
+    const currency = s.match(CURRENCY_PREFIX_RE);
+    const m = currency ? [s, currency[2], currency[1]] : s.match(NUMBER_RE);
+    if (!m) return null;
+    const unit = m[2] ? normalizeUnit(m[2]) : null;
+    if (m[2] && !unit) return null;
+    const number = parseFloat(m[1].replace(',', '.'));
+    if (!Number.isFinite(number)) return null;
+    return { kind: 'number', value: formatNumber(number), number, unit };
+}
+
+function stringLiteral(text) {
+    return { kind: 'string', value: text, number: null, unit: null };
+}
+
+/**
+ * Build a literal from a structured value ({ value, unit, kind }) or text.
+ * Text that isn't a number or date becomes a string literal. Explicit
+ * units are kept even when they aren't in the alias table.
+ *
+ * @param {Object|string|number} input
+ * @param {string} [unitHint] - Unit from elsewhere (e.g. qualifiers.unit)
+ * @returns {{ kind: string, value: string, number: number|null, unit: string|null }|null}
+ */
+function toLiteral(input, unitHint) {
+    if (input === null || input === undefined) return null;
+
+    if (typeof input !== 'object') {
+        const parsed = parseLiteral(input);
+        if (parsed) {
+            if (parsed.kind === 'number' && !parsed.unit) parsed.unit = normalizeUnit(unitHint);
+            return parsed;
+        }
+        const text = String(input).trim();
+        return text ? stringLiteral(text) : null;
+    }
+
+    const raw = input.value;
+    const text = String(raw ?? '').trim();
+    if (!text) return null;
+    if (input.kind === 'string') return stringLiteral(text);
+    if (DATE_RE.test(text)) return { kind: 'date', value: text.slice(0, 10), number: null, unit: null };
+
+    const number = typeof raw === 'number' ? raw
+        : /^[-+]?\d+(?:[.,]\d+)?$/.test(text) ? parseFloat(text.replace(',', '.')) : NaN;
+    if (!Number.isFinite(number)) return stringLiteral(text);
+    const unitText = input.unit ?? unitHint;
+    const unit = normalizeUnit(unitText) || (unitText ? String(unitText).trim() : null);
+    return { kind: 'number', value: formatNumber(number), number, unit };
+}
+
+/**
+ * The literal as stored in triples.object and shown in context — also its
+ * identity for dedup and supersession ("82 kg" and "82 lb" differ).
+ */
+function literalKey(literal) {
+    if (literal.unit === '%') return `${literal.value}%`;
+    if (literal.unit === 'USD') return `$${literal.value}`;
+    if (literal.unit === 'EUR') return `€${literal.value}`;
+    return literal.unit ? `${literal.value} ${literal.unit}` : literal.value;
+}
+
+/**
+ * Keep known, non-empty qualifiers.
+ * @returns {Object|null} { quantity?, time?, location? }
+ */
+function normalizeQualifiers(qualifiers) {
+    if (!qualifiers || typeof qualifiers !== 'object') return null;
+    const out = {};
+    for (const key of QUALIFIER_KEYS) {
+        const v = qualifiers[key];
+        if (v === null || v === undefined) continue;
+        const s = String(v).trim();
+        if (s) out[key] = s;
+    }
+    return Object.keys(out).length > 0 ? out : null;
+}
+
+/**
+ * Render qualifiers as a trailing phrase: " (2 slices, at dinner, in Berlin)".
+ * @param {string|Object|null} qualifiers - Stored JSON or object
+ */
+function formatQualifiers(qualifiers) {
+    const parts = qualifierParts(qualifiers);
+    return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+/**
+ * Qualifiers as phrases ("2 slices", "morning", "in Berlin"), for callers
+ * that add notes of their own to the parenthetical.
+ */
+function qualifierParts(qualifiers) {
+    let q = qualifiers;
+    if (typeof q === 'string') {
+        try { q = JSON.parse(q); } catch { return []; }
+    }
+    if (!q) return [];
+    const parts = [];
+    if (q.quantity) parts.push(q.quantity);
+    if (q.time) parts.push(q.time);
+    if (q.location) parts.push(`in ${q.location}`);
+    return parts;
+}
+
+module.exports = {
+    QUALIFIER_KEYS,
+    normalizeUnit,
+    parseLiteral,
+    toLiteral,
+    literalKey,
+    normalizeQualifiers,
+    formatQualifiers,
+    qualifierParts
+};
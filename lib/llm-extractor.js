@@ -13,6 +13,7 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const literals = require('./literals');
 
 const EXTRACTION_PROMPT = `Extract knowledge graph triples from a conversation between Vector (the user) and Saphira (the AI assistant/dragon).
 
@@ -28,7 +29,7 @@ Extract facts about:
 - Saphira's decisions or rules about their dynamic
 
 Return JSON with entities and relationships. Use these predicates:
-knows, visits, weighs, eats, exercises, plans, uses, works_on, located_in, part_of, interested_in, prefers, has_property, created, does, buys, feels, owns, meets, member_of, travels_to, takes, organizes, wears, controls, suffers_from, dislikes, invested_in, delegates_to, lives_with, likes, enjoys, hates, loves, wants, avoids, fears, trusts, sleeps, drinks
+{{PREDICATES}}
 
 Prefer specific predicates. If no specific predicate fits, use "has_property". Never use "related_to".
 
@@ -39,23 +40,25 @@ Return EMPTY arrays ONLY if the text is:
 
 Keep entities short (1-3 words). Resolve "ich/I" to "Vector" (if user) or "Saphira" (if agent).
 
+Measurements, amounts, durations and dates are values, not entities: give them as
+"object":{"value":82,"unit":"kg"} (or {"value":"2025-03-14"}) and do not list them in entities.
+Optional "qualifiers" add detail without changing the fact: {"quantity":"2 slices","time":"dinner","location":"Berlin"}.
+
 Return ONLY valid JSON:
-{"entities":[{"name":"X","type":"PERSON|PLACE|ORGANIZATION|THING|CONCEPT|EVENT","aliases":[]}],"relationships":[{"subject":"X","predicate":"Y","object":"Z","confidence":0.9}]}
+{"entities":[{"name":"X","type":"PERSON|PLACE|ORGANIZATION|THING|CONCEPT|EVENT","aliases":[]}],"relationships":[{"subject":"X","predicate":"Y","object":"Z","confidence":0.9,"qualifiers":{}}]}
 
 Exchange:
 `;
 
-const VALID_PREDICATES = new Set([
-    'knows', 'created', 'uses', 'located_in', 'part_of',
-    'interested_in', 'prefers', 'works_on',
-    'has_property', 'occurred_at', 'causes',
-    'visits', 'weighs', 'eats', 'exercises', 'plans',
-    'does', 'buys', 'feels', 'owns', 'meets', 'member_of',
-    'travels_to', 'takes', 'organizes', 'wears', 'controls',
-    'suffers_from', 'dislikes', 'invested_in', 'delegates_to',
-    'lives_with', 'likes', 'enjoys', 'hates', 'loves', 'wants',
+// Fallback when no predicate registry list is passed in
+const DEFAULT_PREDICATES = [
+    'knows', 'visits', 'weighs', 'eats', 'exercises', 'plans', 'uses', 'works_on',
+    'located_in', 'part_of', 'interested_in', 'prefers', 'has_property', 'created',
+    'does', 'buys', 'feels', 'owns', 'meets', 'member_of', 'travels_to', 'takes',
+    'organizes', 'wears', 'controls', 'suffers_from', 'dislikes', 'invested_in',
+    'delegates_to', 'lives_with', 'likes', 'enjoys', 'hates', 'loves', 'wants',
     'avoids', 'fears', 'trusts', 'sleeps', 'drinks'
-]);
+];
 
 const VALID_TYPES = new Set([
     'PERSON', 'ORGANIZATION', 'PLACE', 'CONCEPT', 'THING', 'DATE', 'EVENT'
@@ -149,20 +152,33 @@ class LLMExtractor {
         return queue.length;
     }
 
+    /**
+     * Build the extraction prompt for an exchange.
+     *
+     * @param {string} userText
+     * @param {string} agentText
+     * @param {string[]} predicates - Allowed predicate names (from the predicate registry)
+     */
+    _buildPrompt(userText, agentText, predicates) {
+        const exchangeText = `User: ${(userText || '').substring(0, 3000)}\nAgent: ${(agentText || '').substring(0, 3000)}`;
+        return EXTRACTION_PROMPT.replace('{{PREDICATES}}', predicates.join(', ')) + exchangeText;
+    }
+
     /**
      * Extract entities + relationships from an exchange via LLM.
      * Uses retry with exponential backoff (2s → 4s → 8s).
      *
      * @param {string} userText - User's message text
      * @param {string} agentText - Agent's response text
+     * @param {string[]} [predicates] - Allowed predicates (PredicateRegistry.extractableNames)
      * @returns {Promise<{entities: Array, relationships: Array}>}
      */
-    async extract(userText, agentText) {
-        const exchangeText = `User: ${(userText || '').substring(0, 3000)}\nAgent: ${(agentText || '').substring(0, 3000)}`;
-        const prompt = EXTRACTION_PROMPT + exchangeText;
+    async extract(userText, agentText, predicates) {
+        const allowed = predicates && predicates.length > 0 ? predicates : DEFAULT_PREDICATES;
+        const prompt = this._buildPrompt(userText, agentText, allowed);
 
         const raw = await this._callWithRetry(prompt);
-        return this._parseResponse(raw);
+        return this._parseResponse(raw, allowed);
     }
 
     /**
@@ -174,15 +190,16 @@ class LLMExtractor {
      * @param {string} exchangeId - For failed-queue tracking
      * @param {string} agentId - For per-agent failed queue
      * @param {string} date - Source date
+     * @param {string[]} [predicates] - Allowed predicates (PredicateRegistry.extractableNames)
      * @returns {Promise<{entities: Array, relationships: Array}>}
      */
-    async extractWithFailedQueue(userText, agentText, exchangeId, agentId, date) {
-        const exchangeText = `User: ${(userText || '').substring(0, 3000)}\nAgent: ${(agentText || '').substring(0, 3000)}`;
-        const prompt = EXTRACTION_PROMPT + exchangeText;
+    async extractWithFailedQueue(userText, agentText, exchangeId, agentId, date, predicates) {
+        const allowed = predicates && predicates.length > 0 ? predicates : DEFAULT_PREDICATES;
+        const prompt = this._buildPrompt(userText, agentText, allowed);
 
         try {
             const raw = await this._callWithRetry(prompt);
-            return this._parseResponse(raw);
+            return this._parseResponse(raw, allowed);
         } catch (err) {
             // All retries exhausted — write to failed queue
             this._appendToFailedQueue(agentId, {
@@ -271,9 +288,11 @@ class LLMExtractor {
 
     /**
      * Parse LLM response into validated entities + relationships.
-     * Handles malformed JSON gracefully.
+     * Handles malformed JSON gracefully. Predicates outside `predicates`
+     * fall back to has_property.
      */
-    _parseResponse(raw) {
+    _parseResponse(raw, predicates) {
+        const validPredicates = new Set(predicates || DEFAULT_PREDICATES);
         const empty = { entities: [], relationships: [] };
         if (!raw || raw.length < 10) return empty;
 
@@ -329,20 +348,30 @@ class LLMExtractor {
         const relationships = [];
         for (const r of (json.relationships || [])) {
             const rawSubject = r.subject || r.source || r.from;
-            const rawObject = r.object || r.target || r.to;
-            if (!rawSubject || !r.predicate || !rawObject) continue;
+            const rawObject = r.object ?? r.target ?? r.to;
+            if (!rawSubject || !r.predicate || rawObject === undefined || rawObject === null || rawObject === '') continue;
             const subject = String(rawSubject).trim();
-            const predicate = VALID_PREDICATES.has(r.predicate) ? r.predicate : 'has_property';
-            const object = String(rawObject).trim();
+            const predicate = validPredicates.has(r.predicate) ? r.predicate : 'has_property';
+
+            // Structured values are literals; so are numbers/dates given as plain text ("82 kg")
+            const literal = typeof rawObject === 'object'
+                ? literals.toLiteral(rawObject, r.unit)
+                : literals.parseLiteral(typeof rawObject === 'number' && r.unit ? `${rawObject} ${r.unit}` : rawObject);
+            if (typeof rawObject === 'object' && !literal) continue;
+            const object = literal ? literals.literalKey(literal) : String(rawObject).trim();
 
-            if (subject.length < 2 || object.length < 2) continue;
+            if (subject.length < 2 || (!literal && object.length < 2)) continue;
             if (subject.toLowerCase() === object.toLowerCase()) continue;
 
             const confidence = typeof r.confidence === 'number'
                 ? Math.max(0, Math.min(1, r.confidence))
                 : 0.8;
 
-            relationships.push({ subject, predicate, object, confidence });
+            const rel = { subject, predicate, object, confidence };
+            if (literal) rel.literal = literal;
+            const qualifiers = literals.normalizeQualifiers(r.qualifiers);
+            if (qualifiers) rel.qualifiers = qualifiers;
+            relationships.push(rel);
         }
 
         return { entities, relationships };
@@ -0,0 +1,297 @@
+/**
+ * Locales — Language packs for rendering graph context.
+ *
+ * A pack holds everything about a [GRAPH CONTEXT] block that depends on
+ * the language: the header line, predicate phrases from either side of a
+ * fact ("uses {object}" / "is used by {subject}"), how a list of clauses is
+ * joined ("A, B, and C" / "A, B und C"), how dates and decimal numbers are
+ * written, and the time notes on facts ("as of 3 weeks ago", "since March",
+ * "previously 84 kg", "possibly outdated"). English predicate phrases are
+ * the predicate registry's templates; other packs carry their own and fall
+ * back to the registry for predicates they do not cover (custom ones, for
+ * instance).
+ *
+ * detect() guesses the language of a message from common function words,
+ * so a German question gets a German block.
+ */
+
+const PACKS = {
+    en: {
+        header: 'You know these connections:',
+        and: 'and',
+        serialComma: true,
+        decimalComma: false,
+        months: ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+            'August', 'September', 'October', 'November', 'December'],
+        day: (d, month, y) => `${d} ${month} ${y}`,
+        month: (month, y) => `${month} ${y}`,
+        units: { day: ['day', 'days'], week: ['week', 'weeks'], month: ['month', 'months'], year: ['year', 'years'] },
+        ago: (n, unit) => `${n} ${unit} ago`,
+        today: 'today',
+        yesterday: 'yesterday',
+        asOf: (age) => `as of ${age}`,
+        since: (when) => `since ${when}`,
+        previously: (value) => `previously ${value}`,
+        outdated: 'possibly outdated',
+        templates: {},
+        inverseTemplates: {}
+    },
+    de: {
+        header: 'Dir bekannte Zusammenhänge:',
+        and: 'und',
+        serialComma: false,
+        decimalComma: true,
+        months: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli',
+            'August', 'September', 'Oktober', 'November', 'Dezember'],
+        day: (d, month, y) => `${d}. ${month} ${y}`,
+        month: (month, y) => `${month} ${y}`,
+        units: { day: ['Tag', 'Tagen'], week: ['Woche', 'Wochen'], month: ['Monat', 'Monaten'], year: ['Jahr', 'Jahren'] },
+        ago: (n, unit) => `vor ${n} ${unit}`,
+        today: 'heute',
+        yesterday: 'gestern',
+        asOf: (age) => `Stand ${age}`,
+        since: (when) => `seit ${when}`,
+        previously: (value) => `zuvor ${value}`,
+        outdated: 'möglicherweise veraltet',
+        templates: {
+            knows: 'kennt {object}',
+            created: 'hat {object} erstellt',
+            uses: 'nutzt {object}',
+            located_in: 'ist in {object}',
+            part_of: 'gehört zu {object}',
+            interested_in: 'interessiert sich für {object}',
+            prefers: 'bevorzugt {object}',
+            works_on: 'arbeitet an {object}',
+            related_to: 'hängt mit {object} zusammen',
+            has_property: 'hat {object}',
+            occurred_at: 'fand in {object} statt',
+            causes: 'führt zu {object}',
+            member_of: 'ist Mitglied von {object}',
+            lives_with: 'wohnt mit {object} zusammen',
+            meets: 'trifft {object}',
+            owns: 'besitzt {object}',
+            delegates_to: 'delegiert an {object}',
+            weighs: 'wiegt {object}',
+            eats: 'isst {object}',
+            feels: 'fühlt sich {object}',
+            visits: 'besucht {object}',
+            exercises: 'trainiert ({object})',
+            plans: 'plant {object}',
+            does: 'macht {object}',
+            buys: 'kauft {object}',
+            travels_to: 'reist nach {object}',
+            takes: 'nimmt {object}',
+            organizes: 'organisiert {object}',
+            wears: 'trägt {object}',
+            controls: 'steuert {object}',
+            suffers_from: 'leidet an {object}',
+            dislikes: 'mag {object} nicht',
+            invested_in: 'hat in {object} investiert',
+            likes: 'mag {object}',
+            enjoys: 'genießt {object}',
+            hates: 'hasst {object}',
+            loves: 'liebt {object}',
+            wants: 'möchte {object}',
+            avoids: 'meidet {object}',
+            fears: 'fürchtet {object}',
+            trusts: 'vertraut {object}',
+            sleeps: 'schläft {object}',
+            drinks: 'trinkt {object}'
+        },
+        // Object-side phrases ("Fenrir wird von Vector genutzt")
+        inverseTemplates: {
+            created: 'wurde von {subject} erstellt',
+            uses: 'wird von {subject} genutzt',
+            located_in: 'beherbergt {subject}',
+            part_of: 'umfasst {subject}',
+            interested_in: 'interessiert {subject}',
+            prefers: 'wird von {subject} bevorzugt',
+            works_on: 'wird von {subject} bearbeitet',
+            has_property: 'gehört zu {subject}',
+            occurred_at: 'ist der Ort von {subject}',
+            causes: 'wird durch {subject} verursacht',
+            member_of: 'hat {subject} als Mitglied',
+            owns: 'gehört {subject}',
+            delegates_to: 'übernimmt Aufgaben von {subject}',
+            eats: 'wird von {subject} gegessen',
+            visits: 'wird von {subject} besucht',
+            plans: 'wird von {subject} geplant',
+            does: 'wird von {subject} gemacht',
+            buys: 'wird von {subject} gekauft',
+            travels_to: 'ist ein Reiseziel von {subject}',
+            takes: 'wird von {subject} genommen',
+            organizes: 'wird von {subject} organisiert',
+            wears: 'wird von {subject} getragen',
+            controls: 'wird von {subject} gesteuert',
+            suffers_from: 'belastet {subject}',
+            dislikes: 'wird von {subject} nicht gemocht',
+            invested_in: 'hat eine Investition von {subject}',
+            likes: 'wird von {subject} gemocht',
+            enjoys: 'wird von {subject} genossen',
+            hates: 'wird von {subject} gehasst',
+            loves: 'wird von {subject} geliebt',
+            wants: 'wird von {subject} gewünscht',
+            avoids: 'wird von {subject} gemieden',
+            fears: 'wird von {subject} gefürchtet',
+            trusts: 'genießt das Vertrauen von {subject}',
+            drinks: 'wird von {subject} getrunken'
+        }
+    }
+};
+
+const DEFAULT_LOCALE = 'en';
+
+// Frequent words that belong to one language only ("in", "was", "die" are left out)
+const MARKERS = {
+    en: new Set([
+        'the', 'and', 'is', 'are', 'what', 'where', 'who', 'with', 'my', 'you', 'i',
+        'do', 'does', 'did', 'have', 'has', 'of', 'to', 'it', 'this', 'that', 'for',
+        'on', 'how', 'not', 'about', 'know', 'can', 'should', 'would', 'again'
+    ]),
+    de: new Set([
+        'ich', 'und', 'der', 'das', 'nicht', 'ist', 'ein', 'eine', 'mit', 'wie', 'wo',
+        'wer', 'für', 'auf', 'du', 'habe', 'hast', 'hat', 'bin', 'bist', 'warum',
+        'auch', 'schon', 'noch', 'mein', 'meine', 'dein', 'zu', 'den', 'dem', 'sich',
+        'es', 'er', 'wir', 'ihr', 'von', 'über', 'kannst', 'weißt', 'gibt', 'nach', 'heute'
+    ])
+};
+
+/**
+ * Supported locale codes.
+ */
+function available() {
+    return Object.keys(PACKS);
+}
+
+/**
+ * The pack for a locale code ("de", "de-AT", "DE"); English if unknown.
+ */
+function pack(locale) {
+    const code = String(locale || '').toLowerCase().split(/[-_]/)[0];
+    return PACKS[code] || PACKS[DEFAULT_LOCALE];
+}
+
+/**
+ * Normalize a locale code to a supported one, or null.
+ */
+function resolve(locale) {
+    const code = String(locale || '').toLowerCase().split(/[-_]/)[0];
+    return PACKS[code] ? code : null;
+}
+
+/**
+ * Guess the language of a message.
+ *
+ * @param {string} text
+ * @returns {string|null} A supported locale, or null when the text gives too little to go on
+ */
+function detect(text) {
+    const words = String(text || '').toLowerCase().match(/[\p{L}]+/gu) || [];
+    const scores = {};
+    for (const [locale, markers] of Object.entries(MARKERS)) {
+        scores[locale] = words.filter(w => markers.has(w)).length;
+    }
+    // Umlauts and ß are strong German evidence
+    if (/[äöüß]/i.test(text || '')) scores.de += 2;
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (ranked[0][1] < 2 || ranked[0][1] === ranked[1][1]) return null;
+    return ranked[0][0];
+}
+
+/**
+ * Predicate phrase for a locale: configured override, then the pack's own.
+ *
+ * @param {Object} localePack
+ * @param {string} predicate
+ * @param {Object} [overrides] - predicate → template, from config
+ * @returns {string|null} null when the predicate registry's template should be used
+ */
+function template(localePack, predicate, overrides) {
+    const t = overrides?.[predicate] || localePack.templates[predicate];
+    return t && t.includes('{object}') ? t : null;
+}
+
+/**
+ * Object-side phrase for a locale, like template().
+ *
+ * @returns {string|null} null when the predicate registry's inverse reading should be used
+ */
+function inverseTemplate(localePack, predicate, overrides) {
+    const t = overrides?.[predicate] || localePack.inverseTemplates[predicate];
+    return t && t.includes('{subject}') ? t : null;
+}
+
+/**
+ * Join clauses: "A", "A and B", "A, B, and C" (German: "A, B und C").
+ */
+function joinList(items, localePack) {
+    if (items.length <= 1) return items.join('');
+    if (items.length === 2) return `${items[0]} ${localePack.and} ${items[1]}`;
+    const head = items.slice(0, -1).join(', ');
+    return `${head}${localePack.serialComma ? ',' : ''} ${localePack.and} ${items[items.length - 1]}`;
+}
+
+/**
+ * Spell out a stored date: "2026-11-01" → "1 November 2026" / "1. November 2026",
+ * "2026-11" → "November 2026". Anything else is returned unchanged.
+ */
+function formatDate(value, localePack) {
+    const m = /^(\d{4})-(\d{2})(?:-(\d{2}))?/.exec(String(value || ''));
+    if (!m) return value;
+    const month = localePack.months[Number(m[2]) - 1];
+    if (!month) return value;
+    return m[3] ? localePack.day(Number(m[3]), month, m[1]) : localePack.month(month, m[1]);
+}
+
+/**
+ * How long ago, in whole days: "today", "3 weeks ago", "vor 2 Monaten".
+ */
+function formatAge(days, localePack) {
+    const d = Math.max(0, Math.floor(days));
+    if (d === 0) return localePack.today;
+    if (d === 1) return localePack.yesterday;
+    const [n, unit] = d < 14 ? [d, 'day']
+        : d < 60 ? [Math.floor(d / 7), 'week']
+            : d < 365 ? [Math.floor(d / 30), 'month']
+                : [Math.floor(d / 365), 'year'];
+    return localePack.ago(n, localePack.units[unit][n === 1 ? 0 : 1]);
+}
+
+/**
+ * Month a fact began: "March" within the current year, else "March 2025".
+ *
+ * @param {string} value - YYYY-MM[-DD]
+ * @param {number} [now] - Reference time in ms
+ */
+function formatSince(value, localePack, now) {
+    const m = /^(\d{4})-(\d{2})/.exec(String(value || ''));
+    if (!m) return value;
+    const month = localePack.months[Number(m[2]) - 1];
+    if (!month) return value;
+    const year = new Date(now ?? Date.now()).getUTCFullYear();
+    return Number(m[1]) === year ? month : localePack.month(month, m[1]);
+}
+
+/**
+ * Write decimals the local way: "81.5 kg" → "81,5 kg" in German.
+ */
+function formatNumber(value, localePack) {
+    if (!localePack.decimalComma) return value;
+    return String(value).replace(/(\d)\.(\d)/g, '$1,$2');
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    available,
+    pack,
+    resolve,
+    detect,
+    template,
+    inverseTemplate,
+    joinList,
+    formatDate,
+    formatAge,
+    formatSince,
+    formatNumber
+};
@@ -0,0 +1,481 @@
+/**
+ * Schema Migrations — Versioned, ordered upgrades for graph.db.
+ *
+ * The schema version lives in SQLite's PRAGMA user_version. Each migration
+ * runs once, in order, inside its own transaction, and bumps user_version
+ * when it commits. Before a database with existing data is upgraded, a
+ * full copy is written next to it (graph.db.bak-v{from}-{timestamp}).
+ *
+ * Databases created before versioning existed report user_version 0. The
+ * early steps are written to be idempotent against every shape those
+ * databases could have, so they upgrade the same way a fresh file does.
+ *
+ * To change the schema: append a migration with the next version number.
+ * Never edit or reorder a migration that has shipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BASELINE_SQL = `
+-- Core triples (subject → predicate → object)
+CREATE TABLE IF NOT EXISTS triples (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subject TEXT NOT NULL,
+    predicate TEXT NOT NULL,
+    object TEXT NOT NULL,
+    confidence REAL DEFAULT 1.0,
+    source_exchange_id TEXT,
+    source_date TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    agent_id TEXT DEFAULT 'main',
+    pending_resolution INTEGER DEFAULT 0
+);
+
+-- Entity registry (canonical forms + metadata)
+CREATE TABLE IF NOT EXISTS entities (
+    id TEXT PRIMARY KEY,
+    canonical_name TEXT NOT NULL,
+    entity_type TEXT DEFAULT 'CONCEPT',
+    first_seen TEXT DEFAULT (datetime('now')),
+    last_seen TEXT DEFAULT (datetime('now')),
+    mention_count INTEGER DEFAULT 1,
+    aliases TEXT DEFAULT '[]',
+    metadata TEXT,
+    agent_id TEXT DEFAULT 'main'
+);
+
+-- Entity co-occurrence cache
+CREATE TABLE IF NOT EXISTS cooccurrences (
+    entity_a TEXT NOT NULL,
+    entity_b TEXT NOT NULL,
+    count INTEGER DEFAULT 1,
+    last_seen TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (entity_a, entity_b)
+);
+
+-- Indexes for efficient traversal
+CREATE INDEX IF NOT EXISTS idx_triples_subject ON triples(subject, agent_id);
+CREATE INDEX IF NOT EXISTS idx_triples_object ON triples(object, agent_id);
+CREATE INDEX IF NOT EXISTS idx_triples_predicate ON triples(predicate, agent_id);
+CREATE INDEX IF NOT EXISTS idx_triples_subj_pred ON triples(subject, predicate);
+CREATE INDEX IF NOT EXISTS idx_triples_obj_pred ON triples(object, predicate);
+CREATE INDEX IF NOT EXISTS idx_triples_source ON triples(source_exchange_id);
+CREATE INDEX IF NOT EXISTS idx_triples_date ON triples(source_date);
+CREATE INDEX IF NOT EXISTS idx_entities_type ON entities(entity_type, agent_id);
+CREATE INDEX IF NOT EXISTS idx_entities_name ON entities(canonical_name);
+
+-- Meta-path patterns (Phase 5: discovered and static traversal patterns)
+CREATE TABLE IF NOT EXISTS meta_patterns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    predicates TEXT NOT NULL,
+    pattern_type TEXT DEFAULT 'static',
+    weight REAL DEFAULT 1.0,
+    yield_score REAL DEFAULT 0,
+    overlap_ratio REAL DEFAULT 1.0,
+    last_validated TEXT,
+    active INTEGER DEFAULT 1,
+    agent_id TEXT DEFAULT 'main',
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_meta_patterns_agent ON meta_patterns(agent_id, active);
+`;
+
+function tableExists(db, name) {
+    return !!db.prepare(
+        `SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`
+    ).get(name);
+}
+
+function columnNames(db, table) {
+    return new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'baseline',
+        up(db) {
+            db.exec(BASELINE_SQL);
+        }
+    },
+    {
+        version: 2,
+        name: 'bitemporal_triples',
+        up(db) {
+            // Existing rows become open intervals starting at their source date
+            const columns = columnNames(db, 'triples');
+            if (!columns.has('valid_from')) {
+                db.exec('ALTER TABLE triples ADD COLUMN valid_from TEXT');
+                db.exec('UPDATE triples SET valid_from = COALESCE(source_date, date(created_at))');
+            }
+            if (!columns.has('valid_to')) {
+                db.exec('ALTER TABLE triples ADD COLUMN valid_to TEXT');
+            }
+            if (!columns.has('recorded_at')) {
+                // ALTER TABLE cannot add a column with a non-constant default
+                db.exec('ALTER TABLE triples ADD COLUMN recorded_at TEXT');
+                db.exec('UPDATE triples SET recorded_at = created_at');
+            }
+            if (!columns.has('superseded_by')) {
+                db.exec('ALTER TABLE triples ADD COLUMN superseded_by INTEGER');
+            }
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_triples_current ON triples(subject, predicate, agent_id, valid_to);
+                CREATE INDEX IF NOT EXISTS idx_triples_valid ON triples(valid_from, valid_to);
+            `);
+        }
+    },
+    {
+        version: 3,
+        name: 'triple_sources',
+        up(db) {
+            if (tableExists(db, 'triple_sources')) return;
+            db.exec(`
+                -- Provenance: every exchange that stated a triple (many-to-many)
+                CREATE TABLE triple_sources (
+                    triple_id INTEGER NOT NULL REFERENCES triples(id) ON DELETE CASCADE,
+                    exchange_id TEXT NOT NULL,
+                    source_date TEXT,
+                    extractor TEXT DEFAULT 'fast',
+                    confidence REAL DEFAULT 1.0,
+                    recorded_at TEXT DEFAULT (datetime('now')),
+                    PRIMARY KEY (triple_id, exchange_id, extractor)
+                );
+
+                CREATE INDEX idx_triple_sources_exchange ON triple_sources(exchange_id);
+
+                -- Older triples only know their first exchange: carry it over as evidence
+                INSERT OR IGNORE INTO triple_sources (triple_id, exchange_id, source_date, extractor, confidence, recorded_at)
+                SELECT id, source_exchange_id, source_date, 'unknown', confidence, created_at
+                FROM triples WHERE source_exchange_id IS NOT NULL;
+            `);
+        }
+    },
+    {
+        version: 4,
+        name: 'agent_scoped_cooccurrences',
+        up(db) {
+            if (columnNames(db, 'cooccurrences').has('agent_id')) return;
+            // Entity IDs are unique across agents, so each existing pair
+            // belongs to the agent that owns its entities. A pair whose two
+            // entities belong to different agents has no owner that knows
+            // both, so it is dropped rather than handed to either agent.
+            db.exec(`
+                CREATE TABLE cooccurrences_scoped (
+                    agent_id TEXT NOT NULL DEFAULT 'main',
+                    entity_a TEXT NOT NULL,
+                    entity_b TEXT NOT NULL,
+                    count INTEGER DEFAULT 1,
+                    last_seen TEXT DEFAULT (datetime('now')),
+                    PRIMARY KEY (agent_id, entity_a, entity_b)
+                );
+
+                INSERT INTO cooccurrences_scoped (agent_id, entity_a, entity_b, count, last_seen)
+                SELECT COALESCE(
+                           (SELECT agent_id FROM entities WHERE id = c.entity_a),
+                           (SELECT agent_id FROM entities WHERE id = c.entity_b),
+                           'main'),
+                       c.entity_a, c.entity_b, c.count, c.last_seen
+                FROM cooccurrences c
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM entities ea, entities eb
+                    WHERE ea.id = c.entity_a AND eb.id = c.entity_b
+                        AND COALESCE(ea.agent_id, 'main') != COALESCE(eb.agent_id, 'main')
+                );
+
+                DROP TABLE cooccurrences;
+                ALTER TABLE cooccurrences_scoped RENAME TO cooccurrences;
+
+                CREATE INDEX idx_cooccurrences_a ON cooccurrences(agent_id, entity_a);
+                CREATE INDEX idx_cooccurrences_b ON cooccurrences(agent_id, entity_b);
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'predicate_registry',
+        up(db) {
+            db.exec(`
+                -- Predicate registry (seeded from config.predicates, see predicate-registry.js)
+                CREATE TABLE IF NOT EXISTS predicates (
+                    agent_id TEXT NOT NULL DEFAULT 'main',
+                    name TEXT NOT NULL,
+                    cardinality TEXT DEFAULT 'single',
+                    inverse TEXT,
+                    symmetric INTEGER DEFAULT 0,
+                    subject_types TEXT DEFAULT '[]',
+                    object_types TEXT DEFAULT '[]',
+                    ttl_days REAL,
+                    template TEXT,
+                    canonical INTEGER DEFAULT 0,
+                    llm INTEGER DEFAULT 1,
+                    source TEXT DEFAULT 'config',
+                    updated_at TEXT DEFAULT (datetime('now')),
+                    PRIMARY KEY (agent_id, name)
+                );
+            `);
+        }
+    },
+    {
+        version: 6,
+        name: 'literal_objects',
+        up(db) {
+            // Every existing object is an entity ID; literals are new
+            const columns = columnNames(db, 'triples');
+            if (!columns.has('object_kind')) {
+                db.exec(`ALTER TABLE triples ADD COLUMN object_kind TEXT DEFAULT 'entity'`);
+            }
+            if (!columns.has('object_number')) {
+                db.exec('ALTER TABLE triples ADD COLUMN object_number REAL');
+            }
+            if (!columns.has('unit')) {
+                db.exec('ALTER TABLE triples ADD COLUMN unit TEXT');
+            }
+            if (!columns.has('qualifiers')) {
+                db.exec('ALTER TABLE triples ADD COLUMN qualifiers TEXT');
+            }
+            db.exec(`
+                CREATE INDEX IF NOT EXISTS idx_triples_numeric ON triples(subject, predicate, object_number)
+                    WHERE object_number IS NOT NULL;
+            `);
+        }
+    },
+    {
+        version: 7,
+        name: 'decay_tracking',
+        up(db) {
+            // NULL last_decayed_at: no decay applied since the last reinforcement
+            if (!columnNames(db, 'triples').has('last_decayed_at')) {
+                db.exec('ALTER TABLE triples ADD COLUMN last_decayed_at TEXT');
+                // The old decay halved triples untouched for 90+ days without
+                // recording it; count those as decayed up to now so they
+                // aren't charged the same span twice
+                db.exec(`
+                    UPDATE triples SET last_decayed_at = datetime('now')
+                    WHERE valid_to IS NULL AND julianday('now') - julianday(updated_at) > 90
+                `);
+            }
+            if (!columnNames(db, 'predicates').has('half_life_days')) {
+                db.exec('ALTER TABLE predicates ADD COLUMN half_life_days REAL');
+            }
+        }
+    },
+    {
+        version: 8,
+        name: 'predicate_importance',
+        up(db) {
+            if (!columnNames(db, 'predicates').has('importance')) {
+                db.exec('ALTER TABLE predicates ADD COLUMN importance REAL DEFAULT 1.0');
+            }
+        }
+    },
+    {
+        version: 9,
+        name: 'contradictions',
+        up(db) {
+            db.exec(`
+                -- Conflicting triples (see contradictions.js): a = existing, b = incoming
+                CREATE TABLE IF NOT EXISTS contradictions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    agent_id TEXT NOT NULL DEFAULT 'main',
+                    kind TEXT NOT NULL,
+                    triple_a INTEGER NOT NULL REFERENCES triples(id) ON DELETE CASCADE,
+                    triple_b INTEGER NOT NULL REFERENCES triples(id) ON DELETE CASCADE,
+                    status TEXT DEFAULT 'disputed',
+                    resolution TEXT,
+                    winner INTEGER,
+                    detected_at TEXT DEFAULT (datetime('now')),
+                    resolved_at TEXT
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_contradictions_status ON contradictions(agent_id, status);
+                CREATE INDEX IF NOT EXISTS idx_contradictions_a ON contradictions(triple_a);
+                CREATE INDEX IF NOT EXISTS idx_contradictions_b ON contradictions(triple_b);
+            `);
+        }
+    },
+    {
+        version: 10,
+        name: 'entity_importance',
+        up(db) {
+            // Centrality scores written by importance.js (NULL until first computed)
+            const columns = columnNames(db, 'entities');
+            const add = [
+                ['pagerank', 'REAL'],
+                ['degree', 'INTEGER'],
+                ['betweenness', 'REAL'],
+                ['importance', 'REAL'],
+                ['importance_at', 'TEXT']
+            ];
+            for (const [name, type] of add) {
+                if (!columns.has(name)) db.exec(`ALTER TABLE entities ADD COLUMN ${name} ${type}`);
+            }
+            db.exec('CREATE INDEX IF NOT EXISTS idx_entities_importance ON entities(agent_id, importance)');
+        }
+    },
+    {
+        version: 11,
+        name: 'communities',
+        up(db) {
+            db.exec(`
+                -- Topic clusters written by communities.js; ids are renumbered on every run
+                CREATE TABLE IF NOT EXISTS communities (
+                    agent_id TEXT NOT NULL DEFAULT 'main',
+                    id INTEGER NOT NULL,
+                    label TEXT,
+                    size INTEGER DEFAULT 0,
+                    top_members TEXT DEFAULT '[]',
+                    computed_at TEXT DEFAULT (datetime('now')),
+                    PRIMARY KEY (agent_id, id)
+                );
+            `);
+            if (!columnNames(db, 'entities').has('community_id')) {
+                db.exec('ALTER TABLE entities ADD COLUMN community_id INTEGER');
+            }
+            db.exec('CREATE INDEX IF NOT EXISTS idx_entities_community ON entities(agent_id, community_id)');
+        }
+    },
+    {
+        version: 12,
+        name: 'link_decisions',
+        up(db) {
+            db.exec(`
+                -- Accepted and rejected link predictions; rejected ones are not suggested again
+                CREATE TABLE IF NOT EXISTS link_decisions (
+                    agent_id TEXT NOT NULL DEFAULT 'main',
+                    subject TEXT NOT NULL,
+                    predicate TEXT NOT NULL,
+                    object TEXT NOT NULL,
+                    decision TEXT NOT NULL,
+                    triple_id INTEGER,
+                    decided_at TEXT DEFAULT (datetime('now')),
+                    PRIMARY KEY (agent_id, subject, predicate, object)
+                );
+            `);
+        }
+    },
+    {
+        version: 13,
+        name: 'predicate_fresh_days',
+        up(db) {
+            if (!columnNames(db, 'predicates').has('fresh_days')) {
+                db.exec('ALTER TABLE predicates ADD COLUMN fresh_days REAL');
+            }
+        }
+    },
+    {
+        version: 14,
+        name: 'predicate_inverse_template',
+        up(db) {
+            if (!columnNames(db, 'predicates').has('inverse_template')) {
+                db.exec('ALTER TABLE predicates ADD COLUMN inverse_template TEXT');
+            }
+        }
+    }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Read the schema version of an open database.
+ */
+function getVersion(db) {
+    return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Copy the database to a sibling backup file before upgrading it.
+ * VACUUM INTO writes a consistent snapshot, including WAL contents.
+ *
+ * @returns {string|null} Backup path, or null for in-memory databases
+ */
+function backupDatabase(db, dbPath, fromVersion) {
+    if (!dbPath || dbPath === ':memory:') return null;
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = `${dbPath}.bak-v${fromVersion}-${stamp}`;
+    db.prepare('VACUUM INTO ?').run(backupPath);
+    return backupPath;
+}
+
+/**
+ * Bring a database up to the latest schema version.
+ *
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} dbPath - Path of the database file (for backups)
+ * @returns {{ from: number, to: number, applied: Array<{version: number, name: string}>, backupPath: string|null }}
+ */
+function migrate(db, dbPath) {
+    const from = getVersion(db);
+    const pending = MIGRATIONS.filter(m => m.version > from);
+    const report = { from, to: from, applied: [], backupPath: null };
+    if (pending.length === 0) return report;
+
+    // Nothing worth backing up in a brand-new file
+    if (tableExists(db, 'triples')) {
+        report.backupPath = backupDatabase(db, dbPath, from);
+    }
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT DEFAULT (datetime('now')),
+            backup_path TEXT
+        )
+    `);
+    const record = db.prepare(
+        'INSERT OR REPLACE INTO schema_migrations (version, name, backup_path) VALUES (?, ?, ?)'
+    );
+
+    for (const migration of pending) {
+        const tx = db.transaction(() => {
+            migration.up(db);
+            record.run(migration.version, migration.name, report.backupPath);
+            db.pragma(`user_version = ${migration.version}`);
+        });
+        tx();
+        report.applied.push({ version: migration.version, name: migration.name });
+        report.to = migration.version;
+    }
+
+    return report;
+}
+
+/**
+ * Describe the schema state of a database (for the graph.schemaInfo gateway method).
+ */
+function describe(db, dbPath) {
+    const version = getVersion(db);
+    const applied = tableExists(db, 'schema_migrations')
+        ? db.prepare('SELECT * FROM schema_migrations ORDER BY version').all()
+        : [];
+    const appliedByVersion = new Map(applied.map(r => [r.version, r]));
+
+    let backups = [];
+    if (dbPath && dbPath !== ':memory:') {
+        try {
+            const base = path.basename(dbPath);
+            backups = fs.readdirSync(path.dirname(dbPath))
+                .filter(f => f.startsWith(`${base}.bak-v`))
+                .sort();
+        } catch { /* directory unreadable — report none */ }
+    }
+
+    return {
+        version,
+        latestVersion: LATEST_VERSION,
+        upToDate: version >= LATEST_VERSION,
+        migrations: MIGRATIONS.map(m => ({
+            version: m.version,
+            name: m.name,
+            applied: m.version <= version,
+            appliedAt: appliedByVersion.get(m.version)?.applied_at || null
+        })),
+        backups
+    };
+}
+
+module.exports = { MIGRATIONS, LATEST_VERSION, migrate, describe, getVersion };
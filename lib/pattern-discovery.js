@@ -172,8 +172,10 @@ class PatternDiscovery {
                 ON t2.subject = t1.object
                 AND t2.predicate = ?
                 AND t2.agent_id = ?
+                AND t2.valid_to IS NULL
             WHERE t1.predicate = ?
                 AND t1.agent_id = ?
+                AND t1.valid_to IS NULL
             LIMIT 200
         `).all(preds[1], agentId, preds[0], agentId);
 
@@ -186,7 +188,7 @@ class PatternDiscovery {
             totalConf += pair.path_conf;
             const direct = this.store.db.prepare(`
                 SELECT 1 FROM triples
-                WHERE subject = ? AND object = ? AND agent_id = ?
+                WHERE subject = ? AND object = ? AND agent_id = ? AND valid_to IS NULL
                 LIMIT 1
             `).get(pair.src, pair.dst, agentId);
             if (direct) directCount++;
@@ -213,12 +215,15 @@ class PatternDiscovery {
                 ON t2.subject = t1.object
                 AND t2.predicate = ?
                 AND t2.agent_id = ?
+                AND t2.valid_to IS NULL
             JOIN triples t3
                 ON t3.subject = t2.object
                 AND t3.predicate = ?
                 AND t3.agent_id = ?
+                AND t3.valid_to IS NULL
             WHERE t1.predicate = ?
                 AND t1.agent_id = ?
+                AND t1.valid_to IS NULL
             LIMIT 200
         `).all(preds[1], agentId, preds[2], agentId, preds[0], agentId);
 
@@ -230,7 +235,7 @@ class PatternDiscovery {
             totalConf += pair.path_conf;
             const direct = this.store.db.prepare(`
                 SELECT 1 FROM triples
-                WHERE subject = ? AND object = ? AND agent_id = ?
+                WHERE subject = ? AND object = ? AND agent_id = ? AND valid_to IS NULL
                 LIMIT 1
             `).get(pair.src, pair.dst, agentId);
             if (direct) directCount++;
@@ -0,0 +1,408 @@
+/**
+ * Predicate Registry — One place that declares how each predicate behaves.
+ *
+ * Definitions live in the predicates table (per agent) and are seeded from
+ * config.predicates on startup. Each definition declares:
+ *   cardinality   'single' (new object supersedes the old) or 'multi'
+ *   inverse       name of the reverse relation ("created" → "created_by");
+ *                 triples stated with the inverse name are flipped on write
+ *   symmetric     A→B implies B→A (knows, lives_with)
+ *   subjectTypes  allowed entity types on either side; CONCEPT is the
+ *   objectTypes   extractor default for "unknown", so it always passes
+ *   ttlDays       delete after this many days (cleanupExpiredTriples)
+ *   halfLifeDays  confidence half-life without reinforcement (decayStaleTriples);
+ *                 null uses storage.confidenceHalfLifeDays
+ *   importance    0–1 weight when retention prunes an entity's triples
+ *   freshDays     after this many days without new evidence a fact is
+ *                 marked possibly outdated in context; null uses halfLifeDays
+ *   template      context sentence clause, e.g. "works on {object}"; without
+ *                 one the name is read as a verb phrase ("suffers from {object}")
+ *   inverseTemplate  the same fact told from the object's side,
+ *                 e.g. "is worked on by {subject}"
+ *   canonical     fast-path extractor may emit it
+ *   llm           offered to (and accepted from) the LLM extractor
+ *
+ * Predicates without a definition keep the historical defaults:
+ * single-valued, untyped, rendered with the generic template.
+ */
+
+const DEFAULT_DEFINITION = {
+    cardinality: 'single',
+    inverse: null,
+    symmetric: false,
+    subjectTypes: [],
+    objectTypes: [],
+    ttlDays: null,
+    halfLifeDays: null,
+    importance: 1.0,
+    freshDays: null,
+    template: null,
+    inverseTemplate: null,
+    canonical: false,
+    llm: true,
+    source: 'default'
+};
+
+// Type used by the extractors when they cannot tell what an entity is
+const UNTYPED = 'CONCEPT';
+
+class PredicateRegistry {
+    /**
+     * @param {import('better-sqlite3').Database} db - Open graph.db (predicates table must exist)
+     */
+    constructor(db) {
+        this.db = db;
+        this._cache = new Map(); // agentId → Map<name, definition>
+
+        this._upsert = this.db.prepare(`
+            INSERT INTO predicates (agent_id, name, cardinality, inverse, symmetric, subject_types, object_types,
+                                    ttl_days, half_life_days, importance, fresh_days, template, inverse_template,
+                                    canonical, llm, source, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+            ON CONFLICT(agent_id, name) DO UPDATE SET
+                cardinality = excluded.cardinality,
+                inverse = excluded.inverse,
+                symmetric = excluded.symmetric,
+                subject_types = excluded.subject_types,
+                object_types = excluded.object_types,
+                ttl_days = excluded.ttl_days,
+                half_life_days = excluded.half_life_days,
+                importance = excluded.importance,
+                fresh_days = excluded.fresh_days,
+                template = excluded.template,
+                inverse_template = excluded.inverse_template,
+                canonical = excluded.canonical,
+                llm = excluded.llm,
+                source = excluded.source,
+                updated_at = datetime('now')
+        `);
+
+        this._getAll = this.db.prepare(`
+            SELECT * FROM predicates WHERE agent_id = ? ORDER BY name
+        `);
+
+        this._getSource = this.db.prepare(`
+            SELECT source FROM predicates WHERE agent_id = ? AND name = ?
+        `);
+
+        this._delete = this.db.prepare(`
+            DELETE FROM predicates WHERE agent_id = ? AND name = ?
+        `);
+    }
+
+    /**
+     * Seed definitions from config. Config-sourced rows are refreshed on every
+     * start so edits to config apply; custom rows (added through the gateway)
+     * are never overwritten.
+     *
+     * @param {string} agentId
+     * @param {Object} definitions - config.predicates: name → partial definition
+     * @param {Object} [legacy] - Pre-registry config keys still honored
+     * @param {string[]} [legacy.canonicalPredicates] - extraction.canonicalPredicates
+     * @param {Object} [legacy.predicateTTLDays] - extraction.predicateTTLDays
+     * @returns {number} Definitions written
+     */
+    seed(agentId, definitions, legacy) {
+        const aid = agentId || 'main';
+        const merged = {};
+        for (const [name, def] of Object.entries(definitions || {})) {
+            merged[name] = { ...def };
+        }
+
+        // Older configs list canonical predicates and TTLs separately
+        const canonicalList = legacy?.canonicalPredicates;
+        if (Array.isArray(canonicalList) && canonicalList.length > 0) {
+            const canonicalSet = new Set(canonicalList);
+            for (const name of canonicalSet) {
+                if (!merged[name]) merged[name] = {};
+            }
+            for (const [name, def] of Object.entries(merged)) {
+                def.canonical = canonicalSet.has(name);
+            }
+        }
+        for (const [name, days] of Object.entries(legacy?.predicateTTLDays || {})) {
+            if (!merged[name]) merged[name] = {};
+            merged[name].ttlDays = days;
+        }
+
+        let written = 0;
+        const tx = this.db.transaction(() => {
+            for (const [name, def] of Object.entries(merged)) {
+                const existing = this._getSource.get(aid, name);
+                if (existing && existing.source === 'custom') continue;
+                this._write(aid, name, { ...def, source: 'config' });
+                written++;
+            }
+        });
+        tx();
+        this._cache.delete(aid);
+        return written;
+    }
+
+    /**
+     * Add or replace a custom predicate definition (gateway: graph.definePredicate).
+     *
+     * @returns {Object} The stored definition
+     */
+    define(agentId, name, definition) {
+        const aid = agentId || 'main';
+        const key = PredicateRegistry.normalizeName(name);
+        if (!key) throw new Error(`Invalid predicate name: ${name}`);
+        const def = definition || {};
+        if (def.cardinality && !['single', 'multi'].includes(def.cardinality)) {
+            throw new Error(`Invalid cardinality "${def.cardinality}" (expected single or multi)`);
+        }
+        if (def.inverse && PredicateRegistry.normalizeName(def.inverse) === key) {
+            throw new Error('A predicate cannot be its own inverse — use symmetric instead');
+        }
+        if (def.template && !String(def.template).includes('{object}')) {
+            throw new Error(`Template "${def.template}" has no {object} placeholder`);
+        }
+        if (def.inverseTemplate && !String(def.inverseTemplate).includes('{subject}')) {
+            throw new Error(`Inverse template "${def.inverseTemplate}" has no {subject} placeholder`);
+        }
+        this._write(aid, key, { ...this.get(key, aid), ...def, source: 'custom' });
+        this._cache.delete(aid);
+        return this.get(key, aid);
+    }
+
+    /**
+     * Remove a custom definition. Config-seeded ones would come back on the
+     * next start, so they can only be overridden, not removed.
+     *
+     * @returns {boolean} Whether a definition was removed
+     */
+    remove(agentId, name) {
+        const aid = agentId || 'main';
+        const key = PredicateRegistry.normalizeName(name);
+        if (!key) return false;
+        const existing = this._getSource.get(aid, key);
+        if (!existing || existing.source !== 'custom') return false;
+        this._delete.run(aid, key);
+        this._cache.delete(aid);
+        return true;
+    }
+
+    _write(agentId, name, def) {
+        const d = { ...DEFAULT_DEFINITION, ...def };
+        this._upsert.run(
+            agentId,
+            name,
+            d.cardinality === 'multi' ? 'multi' : 'single',
+            d.inverse ? PredicateRegistry.normalizeName(d.inverse) : null,
+            d.symmetric ? 1 : 0,
+            JSON.stringify((d.subjectTypes || []).map(t => String(t).toUpperCase())),
+            JSON.stringify((d.objectTypes || []).map(t => String(t).toUpperCase())),
+            typeof d.ttlDays === 'number' ? d.ttlDays : null,
+            typeof d.halfLifeDays === 'number' && d.halfLifeDays > 0 ? d.halfLifeDays : null,
+            typeof d.importance === 'number' ? Math.max(0, Math.min(1, d.importance)) : 1.0,
+            typeof d.freshDays === 'number' && d.freshDays > 0 ? d.freshDays : null,
+            d.template || null,
+            d.inverseTemplate || null,
+            d.canonical ? 1 : 0,
+            d.llm === false ? 0 : 1,
+            d.source || 'custom'
+        );
+    }
+
+    /**
+     * Load (and cache) all definitions for an agent.
+     * @returns {Map<string, Object>}
+     */
+    _definitions(agentId) {
+        const aid = agentId || 'main';
+        if (!this._cache.has(aid)) {
+            const defs = new Map();
+            for (const row of this._getAll.all(aid)) {
+                defs.set(row.name, {
+                    name: row.name,
+                    cardinality: row.cardinality,
+                    inverse: row.inverse,
+                    symmetric: row.symmetric === 1,
+                    subjectTypes: JSON.parse(row.subject_types || '[]'),
+                    objectTypes: JSON.parse(row.object_types || '[]'),
+                    ttlDays: row.ttl_days,
+                    halfLifeDays: row.half_life_days,
+                    importance: row.importance ?? 1.0,
+                    freshDays: row.fresh_days,
+                    template: row.template,
+                    inverseTemplate: row.inverse_template,
+                    canonical: row.canonical === 1,
+                    llm: row.llm === 1,
+                    source: row.source,
+                    updatedAt: row.updated_at
+                });
+            }
+            this._cache.set(aid, defs);
+        }
+        return this._cache.get(aid);
+    }
+
+    /**
+     * Get the definition for a predicate (defaults if undeclared).
+     */
+    get(name, agentId) {
+        return this._definitions(agentId).get(name) || { ...DEFAULT_DEFINITION, name, source: 'default' };
+    }
+
+    /**
+     * All declared predicates for an agent.
+     * @returns {Object[]}
+     */
+    list(agentId) {
+        return [...this._definitions(agentId).values()];
+    }
+
+    has(name, agentId) {
+        return this._definitions(agentId).has(name);
+    }
+
+    isMultiValued(name, agentId) {
+        return this.get(name, agentId).cardinality === 'multi';
+    }
+
+    isSymmetric(name, agentId) {
+        return this.get(name, agentId).symmetric;
+    }
+
+    /**
+     * Find the predicate that declares `name` as its inverse.
+     * @returns {string|null}
+     */
+    inverseOf(name, agentId) {
+        for (const def of this._definitions(agentId).values()) {
+            if (def.inverse === name) return def.name;
+        }
+        return null;
+    }
+
+    /**
+     * Rewrite a triple stated with an inverse predicate name into the
+     * canonical direction: (Fenrir, created_by, Vector) → (Vector, created, Fenrir).
+     *
+     * @returns {{ subject: string, predicate: string, object: string, flipped: boolean }}
+     */
+    canonicalize({ subject, predicate, object }, agentId) {
+        if (!this.has(predicate, agentId)) {
+            const forward = this.inverseOf(predicate, agentId);
+            if (forward) {
+                return { subject: object, predicate: forward, object: subject, flipped: true };
+            }
+        }
+        return { subject, predicate, object, flipped: false };
+    }
+
+    /**
+     * Check entity types against a predicate's domain (subject) and range (object).
+     * Missing or CONCEPT types are unknown and always pass.
+     */
+    allowsTypes(name, subjectType, objectType, agentId) {
+        const def = this.get(name, agentId);
+        const fits = (allowed, type) =>
+            allowed.length === 0 || !type || type === UNTYPED || allowed.includes(type);
+        return fits(def.subjectTypes, subjectType) && fits(def.objectTypes, objectType);
+    }
+
+    /**
+     * Days a fact stays current without new evidence: freshDays, else
+     * halfLifeDays, else null (use the caller's default).
+     */
+    freshDays(name, agentId) {
+        const def = this.get(name, agentId);
+        return def.freshDays ?? def.halfLifeDays ?? null;
+    }
+
+    /**
+     * Sentence clause template, e.g. "works on {object}" (null if none).
+     */
+    template(name, agentId) {
+        return this.get(name, agentId).template;
+    }
+
+    /**
+     * Sentence clause for a triple: the predicate's template, or the name
+     * read as a verb phrase ("lives_with" → "lives with Eve") so no
+     * predicate goes unrendered.
+     *
+     * @param {string} name - Predicate
+     * @param {string} objectText - Object as it should appear in the sentence
+     * @returns {string}
+     */
+    clause(name, objectText, agentId) {
+        const template = this.template(name, agentId);
+        if (template && template.includes('{object}')) return template.replace('{object}', objectText);
+        return `${name.replace(/_/g, ' ')} ${objectText}`;
+    }
+
+    /**
+     * Sentence clause told from the object's side: the inverse template
+     * ("is used by Vector"), the forward one for symmetric predicates
+     * ("knows Vector"), or the inverse name as a phrase ("owned by Vector").
+     *
+     * @param {string} name - Predicate
+     * @param {string} subjectText - Subject as it should appear in the sentence
+     * @returns {string|null} null when the predicate has no reverse reading
+     */
+    inverseClause(name, subjectText, agentId) {
+        const def = this.get(name, agentId);
+        if (def.inverseTemplate && def.inverseTemplate.includes('{subject}')) {
+            return def.inverseTemplate.replace('{subject}', subjectText);
+        }
+        if (def.symmetric) return this.clause(name, subjectText, agentId);
+        if (def.inverse) return `${def.inverse.replace(/_/g, ' ')} ${subjectText}`;
+        return null;
+    }
+
+    /**
+     * Predicates the fast-path extractor may emit.
+     * @returns {string[]}
+     */
+    canonicalNames(agentId) {
+        return this.list(agentId).filter(d => d.canonical).map(d => d.name);
+    }
+
+    /**
+     * Predicates offered to the LLM extractor, plus the inverse names it may
+     * use (flipped on write).
+     * @returns {string[]}
+     */
+    extractableNames(agentId) {
+        const names = [];
+        for (const def of this.list(agentId)) {
+            if (!def.llm) continue;
+            names.push(def.name);
+            if (def.inverse) names.push(def.inverse);
+        }
+        return names;
+    }
+
+    /**
+     * Predicate → TTL days, for cleanupExpiredTriples.
+     * @returns {Object}
+     */
+    ttlMap(agentId) {
+        const map = {};
+        for (const def of this.list(agentId)) {
+            if (typeof def.ttlDays === 'number') map[def.name] = def.ttlDays;
+        }
+        return map;
+    }
+
+    /**
+     * Predicate → confidence half-life in days, for decayStaleTriples.
+     * @returns {Object}
+     */
+    halfLifeMap(agentId) {
+        const map = {};
+        for (const def of this.list(agentId)) {
+            if (typeof def.halfLifeDays === 'number') map[def.name] = def.halfLifeDays;
+        }
+        return map;
+    }
+
+    static normalizeName(name) {
+        return String(name || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    }
+}
+
+module.exports = PredicateRegistry;
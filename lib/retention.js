@@ -0,0 +1,142 @@
+/**
+ * Retention — Keep the graph bounded.
+ *
+ * Two rules, both over current triples only (superseded history is left
+ * alone):
+ *
+ *   expiry  triples not reinforced for storage.retentionDays whose
+ *           confidence has fallen below storage.expireBelowConfidence
+ *   cap     an entity with more than storage.maxTriplesPerEntity triples
+ *           (either side) loses its lowest-value ones
+ *
+ * Value = confidence × recency × predicate importance, where recency
+ * halves every retentionDays since the last reinforcement and importance
+ * comes from the predicate registry. Deleting a triple removes its
+ * provenance rows with it (ON DELETE CASCADE).
+ *
+ * Runs in the nightshift graph-enrichment task; plan() is the dry run
+ * behind graph.retentionPreview.
+ */
+
+class Retention {
+    /**
+     * @param {GraphStore} store
+     * @param {Object} config - storage config section
+     */
+    constructor(store, config) {
+        this.store = store;
+        this.config = config || {};
+        this.maxTriplesPerEntity = this.config.maxTriplesPerEntity || 500;
+        this.retentionDays = this.config.retentionDays || 365;
+        this.expireBelowConfidence = this.config.expireBelowConfidence ?? 0.3;
+    }
+
+    /**
+     * Work out what retention would delete, without deleting anything.
+     *
+     * @param {string} agentId
+     * @returns {{ expired: Array, capped: Array, hubs: Array, byPredicate: Object }}
+     */
+    plan(agentId) {
+        const aid = agentId || 'main';
+        const db = this.store.db;
+        const doomed = new Map(); // triple id → { triple, reason }
+
+        // 1. Expiry: stale and weak
+        const stale = db.prepare(`
+            SELECT id, subject, predicate, object, confidence, updated_at,
+                   julianday('now') - julianday(updated_at) AS age_days
+            FROM triples
+            WHERE agent_id = ? AND valid_to IS NULL
+                AND confidence < ?
+                AND julianday('now') - julianday(updated_at) > ?
+        `).all(aid, this.expireBelowConfidence, this.retentionDays);
+        for (const t of stale) {
+            doomed.set(t.id, { ...t, reason: 'expired' });
+        }
+
+        // 2. Cap: biggest hubs first, so their pruning also relieves neighbours
+        const hubs = db.prepare(`
+            SELECT entity, COUNT(*) AS cnt FROM (
+                SELECT subject AS entity FROM triples WHERE agent_id = ? AND valid_to IS NULL
+                UNION ALL
+                SELECT object AS entity FROM triples
+                WHERE agent_id = ? AND valid_to IS NULL AND COALESCE(object_kind, 'entity') = 'entity'
+            )
+            GROUP BY entity
+            HAVING cnt > ?
+            ORDER BY cnt DESC
+        `).all(aid, aid, this.maxTriplesPerEntity);
+
+        const entityTriples = db.prepare(`
+            SELECT id, subject, predicate, object, confidence, updated_at,
+                   julianday('now') - julianday(updated_at) AS age_days
+            FROM triples
+            WHERE (subject = ? OR object = ?) AND agent_id = ? AND valid_to IS NULL
+        `);
+
+        const hubReport = [];
+        for (const hub of hubs) {
+            const remaining = entityTriples.all(hub.entity, hub.entity, aid)
+                .filter(t => !doomed.has(t.id));
+            const excess = remaining.length - this.maxTriplesPerEntity;
+            if (excess > 0) {
+                remaining
+                    .map(t => ({ ...t, value: this.score(t, aid) }))
+                    .sort((a, b) => a.value - b.value)
+                    .slice(0, excess)
+                    .forEach(t => doomed.set(t.id, { ...t, reason: 'cap', hub: hub.entity }));
+            }
+            hubReport.push({
+                entity: hub.entity,
+                before: hub.cnt,
+                after: Math.min(remaining.length, this.maxTriplesPerEntity)
+            });
+        }
+
+        const expired = [];
+        const capped = [];
+        const byPredicate = {};
+        for (const t of doomed.values()) {
+            (t.reason === 'expired' ? expired : capped).push(t);
+            byPredicate[t.predicate] = (byPredicate[t.predicate] || 0) + 1;
+        }
+
+        return { expired, capped, hubs: hubReport.filter(h => h.before > h.after), byPredicate };
+    }
+
+    /**
+     * Retention value of a triple: confidence × recency × predicate importance.
+     */
+    score(triple, agentId) {
+        const recency = Math.pow(0.5, Math.max(0, triple.age_days || 0) / this.retentionDays);
+        const importance = this.store.predicates.get(triple.predicate, agentId).importance ?? 1.0;
+        return (triple.confidence || 0) * recency * importance;
+    }
+
+    /**
+     * Apply the plan.
+     *
+     * @param {string} agentId
+     * @returns {{ expired: number, capped: number, hubs: Array, byPredicate: Object }}
+     */
+    enforce(agentId) {
+        const plan = this.plan(agentId);
+        const ids = [...plan.expired, ...plan.capped].map(t => t.id);
+        if (ids.length > 0) {
+            const del = this.store.db.prepare('DELETE FROM triples WHERE id = ?');
+            const tx = this.store.db.transaction(() => {
+                for (const id of ids) del.run(id);
+            });
+            tx();
+        }
+        return {
+            expired: plan.expired.length,
+            capped: plan.capped.length,
+            hubs: plan.hubs,
+            byPredicate: plan.byPredicate
+        };
+    }
+}
+
+module.exports = Retention;